@@ -1,8 +1,226 @@
 import express from 'express';
 import { createHash, createHmac } from 'node:crypto';
+import { readFileSync, statSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
 const app = express();
 app.disable('x-powered-by');
+
+// Structured logging: one JSON line per entry, tagged with the current request id.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || 'info').trim().toLowerCase()] ?? LOG_LEVELS.info;
+
+// Holds { requestId, userId } for the request being handled, across awaits.
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED_KEYS = /(authorization|token|secret|password|apikey|api_key|cookie)/i;
+const EMAIL_KEYS = /email/i;
+
+function redactString(str) {
+  return str
+    .replace(/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [redacted]')
+    .replace(/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '[redacted_jwt]')
+    .replace(/([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g, '$1***@$2');
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: redactString(String(value.message)), ...(LOG_LEVEL <= LOG_LEVELS.debug ? { stack: value.stack } : {}) };
+  }
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object' || depth > 4) return value;
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (REDACTED_KEYS.test(k) && v !== null && v !== undefined && typeof v !== 'boolean') out[k] = '[redacted]';
+    else if (EMAIL_KEYS.test(k) && typeof v === 'string') out[k] = redactString(v);
+    else out[k] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const ctx = requestContext.getStore();
+  const line = JSON.stringify({
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    requestId: ctx?.requestId ?? undefined,
+    ...redact(fields ?? {}),
+  });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+const logger = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
+};
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+function setRequestUserId(userId) {
+  const ctx = requestContext.getStore();
+  if (ctx && userId) ctx.userId = userId;
+}
+
+function traceHeaders() {
+  // Propagated to Supabase/Resend so their logs can be correlated with ours.
+  const requestId = currentRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+}
+
+// Prometheus metrics (GET /metrics), kept in memory. In the local runtime they cover the whole process
+// lifetime. On Vercel each scrape lands on whichever instance the load balancer picks, and each instance
+// counts on its own from its cold start, so every series carries `instance_id`: values from different
+// instances stay in different series instead of looking like one counter that keeps resetting. Coverage
+// there is partial (only the instances that happen to be scraped); aggregate with sum by (...) (rate(...)).
+// Label values must come from bounded sets (route names, tables, outcomes), never from user input.
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || '').trim();
+const METRICS_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRICS_INSTANCE_ID = Math.random().toString(16).slice(2, 10);
+const METRICS_STARTED_AT = Date.now();
+const metricsRegistry = new Map();
+
+function defineMetric(name, type, help) {
+  const metric = { name, type, help, series: new Map() };
+  metricsRegistry.set(name, metric);
+  return metric;
+}
+
+function metricSeries(metric, labels, init) {
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { labels, ...init() };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incCounter(metric, labels = {}, by = 1) {
+  metricSeries(metric, labels, () => ({ value: 0 })).value += by;
+}
+
+function observeHistogram(metric, labels, seconds) {
+  const series = metricSeries(metric, labels, () => ({ buckets: METRICS_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  METRICS_LATENCY_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) series.buckets[i] += 1;
+  });
+  series.sum += seconds;
+  series.count += 1;
+}
+
+function metricReason(reason) {
+  // Keeps the leading snake_case code ("outbox_retry: attempt 2" -> outbox_retry); free text becomes "other".
+  if (reason === null || reason === undefined || reason === '') return 'none';
+  return String(reason).match(/^[a-z][a-z0-9_]{0,63}(?=$|[:\s])/)?.[0] ?? 'other';
+}
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  const escape = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+  // `instance_id`, not `instance`: Prometheus sets `instance` to the scrape target itself.
+  const base = { instance_id: METRICS_INSTANCE_ID };
+  const withBase = (labels) => formatMetricLabels({ ...base, ...labels });
+  const lines = [
+    '# HELP pbf_metrics_info Instance serving these metrics.',
+    '# TYPE pbf_metrics_info gauge',
+    `pbf_metrics_info${withBase({ runtime: process.env.VERCEL ? 'vercel' : 'node' })} 1`,
+    '# HELP process_start_time_seconds Start time of the process since unix epoch in seconds.',
+    '# TYPE process_start_time_seconds gauge',
+    `process_start_time_seconds${withBase({})} ${Math.floor(METRICS_STARTED_AT / 1000)}`,
+  ];
+  for (const metric of metricsRegistry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${withBase(series.labels)} ${series.value}`);
+        continue;
+      }
+      METRICS_LATENCY_BUCKETS.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${withBase({ ...series.labels, le: String(le) })} ${series.buckets[i]}`);
+      });
+      lines.push(
+        `${metric.name}_bucket${withBase({ ...series.labels, le: '+Inf' })} ${series.count}`,
+        `${metric.name}_sum${withBase(series.labels)} ${series.sum}`,
+        `${metric.name}_count${withBase(series.labels)} ${series.count}`
+      );
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const metrics = {
+  webhookEvents: defineMetric('pbf_webhook_events_total', 'counter', 'Webhook events logged, by provider, outcome and reason.'),
+  intentMatches: defineMetric('pbf_intent_match_total', 'counter', 'Intent matching results, by provider and reason.'),
+  intentsCreated: defineMetric('pbf_payment_intents_created_total', 'counter', 'Payment intents created, by provider and plan.'),
+  supportTickets: defineMetric('pbf_support_tickets_created_total', 'counter', 'Support tickets created.'),
+  supportRejected: defineMetric('pbf_support_rejected_total', 'counter', 'Support requests refused, by kind and error.'),
+  signatureFailures: defineMetric('pbf_webhook_signature_failures_total', 'counter', 'Webhooks refused by the signature check.'),
+  rateLimited: defineMetric('pbf_rate_limit_rejections_total', 'counter', 'Requests answered 429 by the rate limiter.'),
+  supabaseLatency: defineMetric('pbf_supabase_request_duration_seconds', 'histogram', 'Supabase request latency.'),
+  resendLatency: defineMetric('pbf_resend_request_duration_seconds', 'histogram', 'Resend API request latency.'),
+};
+
+async function timedFetch(metric, labels, url, init) {
+  // fetch() plus a latency observation; `status` is the HTTP class, or `error` when no response came back.
+  const startedAt = process.hrtime.bigint();
+  let status = 'error';
+  try {
+    const resp = await fetch(url, init);
+    status = `${Math.floor(resp.status / 100)}xx`;
+    return resp;
+  } finally {
+    observeHistogram(metric, { ...labels, status }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+}
+
+const supabaseFetch = (helper, target, url, init) => timedFetch(metrics.supabaseLatency, { helper, target }, url, init);
+const resendFetch = (helper, url, init) => timedFetch(metrics.resendLatency, { helper }, url, init);
+
+function newRequestId() {
+  return `r_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
+}
+
+app.use((req, res, next) => {
+  const incoming = String(req.headers?.['x-request-id'] || '').trim();
+  const requestId = /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : newRequestId();
+  const ctx = { requestId, userId: null };
+  const startedAt = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    requestContext.run(ctx, () =>
+      logger[level]('request', {
+        method: req.method,
+        // Matched route pattern when there is one; never the query string (it may carry tokens).
+        route: req.route ? `${req.baseUrl || ''}${req.route.path}` : null,
+        path: String(req.originalUrl || '').split('?')[0],
+        status,
+        latencyMs: Number((process.hrtime.bigint() - startedAt) / 1_000_000n),
+        userId: ctx.userId,
+      })
+    );
+  });
+
+  requestContext.run(ctx, next);
+});
 app.use(express.json({
   verify: (req, _res, buf) => {
     try {
@@ -13,19 +231,24 @@ app.use(express.json({
   },
 }));
 
-// CORS for browser-initiated calls (PBF frontend calls /api/infinitepay/intent).
-// This endpoint uses Authorization header, which triggers preflight (OPTIONS).
+// CORS for browser-initiated calls (PBF frontend calls /api/<provider>/intent and, from its renewal
+// page, /api/<provider>/renew). JSON bodies and the Authorization header trigger a preflight (OPTIONS).
 app.use((req, res, next) => {
   try {
     const path = req?.path || '';
-    if (!path.startsWith('/api/infinitepay/intent') && !path.startsWith('/api/infinitepay/support')) return next();
+    if (
+      !/^\/api\/[^/]+\/(intent|renew\/?$)/.test(path) &&
+      !path.startsWith('/api/infinitepay/support') &&
+      !path.startsWith('/api/infinitepay/plans') &&
+      !path.startsWith('/api/infinitepay/admin')
+    ) return next();
 
     const origin = String(req.headers?.origin || '').trim();
     if (origin && CORS_ALLOWED_ORIGINS.includes(origin)) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Vary', 'Origin');
     }
-    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') return res.status(204).send('');
@@ -46,7 +269,62 @@ const SUPPORT_FROM_EMAIL = process.env.SUPPORT_FROM_EMAIL || null;
 // Where email replies should go (optional). Defaults to SUPPORT_ADMIN_EMAIL.
 const SUPPORT_REPLY_TO_EMAIL = process.env.SUPPORT_REPLY_TO_EMAIL || null;
 
-const RESEND_FALLBACK_FROM_EMAIL = 'onboarding@resend.dev';
+// Sender used when SUPPORT_FROM_EMAIL is unset or on a consumer inbox domain (see pickSupportFromEmail).
+const EMAIL_FALLBACK_FROM_EMAIL = String(process.env.EMAIL_FALLBACK_FROM_EMAIL || 'onboarding@resend.dev').trim();
+
+// Email transports (see EMAIL_TRANSPORTS): resend, smtp or file. Only in development (no Resend key, not on
+// Vercel, NODE_ENV other than production) do emails default to the local file outbox; a production server
+// without a key keeps `resend` and fails loudly instead of reporting mail it never sent.
+const EMAIL_TRANSPORT = String(
+  process.env.EMAIL_TRANSPORT ||
+    (RESEND_API_KEY || process.env.VERCEL || process.env.NODE_ENV === 'production' ? 'resend' : 'file')
+)
+  .trim()
+  .toLowerCase();
+// Optional: tried once when the primary transport fails.
+const EMAIL_FAILOVER_TRANSPORT = String(process.env.EMAIL_FAILOVER_TRANSPORT || '').trim().toLowerCase();
+const SMTP_HOST = String(process.env.SMTP_HOST || '').trim();
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+// Implicit TLS (port 465); otherwise STARTTLS when the server offers it.
+const SMTP_SECURE = toBoolOrNull(String(process.env.SMTP_SECURE || '').trim()) ?? SMTP_PORT === 465;
+const SMTP_USER = String(process.env.SMTP_USER || '').trim();
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const EMAIL_OUTBOX_DIR = path.resolve(process.env.EMAIL_OUTBOX_DIR || '.email-outbox');
+
+// Email templates: emails/<template>/<locale>.{txt,html}, wrapped in emails/layout.{txt,html}.
+const EMAIL_TEMPLATES_DIR = new URL('./emails/', import.meta.url);
+const EMAIL_DEFAULT_LOCALE = 'en';
+const EMAIL_BRAND_NAME = String(process.env.EMAIL_BRAND_NAME || 'PBF').trim();
+// Dates in emails (e.g. premium expiry) are shown in this time zone.
+const EMAIL_TIME_ZONE = String(process.env.EMAIL_TIME_ZONE || 'America/Sao_Paulo').trim();
+
+// Support attachments (multipart uploads on POST /support).
+// Vercel refuses request bodies over 4.5 MB before the function runs; the multipart limit stays under it there.
+const VERCEL_BODY_MAX_BYTES = 4.5 * 1024 * 1024;
+const SUPPORT_ATTACHMENT_MAX_BYTES = Number(process.env.SUPPORT_ATTACHMENT_MAX_BYTES || 3 * 1024 * 1024);
+const SUPPORT_ATTACHMENT_MAX_COUNT = Number(process.env.SUPPORT_ATTACHMENT_MAX_COUNT || 3);
+const SUPPORT_ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'application/pdf'];
+// Optional Supabase Storage bucket; without it attachments only travel in the admin email.
+const SUPPORT_ATTACHMENTS_BUCKET = String(process.env.SUPPORT_ATTACHMENTS_BUCKET || '').trim();
+
+// Support abuse protection (see checkSupportAbuse). Quotas and duplicates apply to new tickets and,
+// with their own limits, to follow-up messages.
+const SUPPORT_SUBJECT_MAX_LENGTH = Number(process.env.SUPPORT_SUBJECT_MAX_LENGTH || 150);
+const SUPPORT_MESSAGE_MAX_LENGTH = Number(process.env.SUPPORT_MESSAGE_MAX_LENGTH || 5000);
+const SUPPORT_TICKETS_PER_HOUR = Number(process.env.SUPPORT_TICKETS_PER_HOUR || 3);
+const SUPPORT_TICKETS_PER_DAY = Number(process.env.SUPPORT_TICKETS_PER_DAY || 10);
+const SUPPORT_MESSAGES_PER_HOUR = Number(process.env.SUPPORT_MESSAGES_PER_HOUR || 10);
+const SUPPORT_MESSAGES_PER_DAY = Number(process.env.SUPPORT_MESSAGES_PER_DAY || 50);
+// The same message (ignoring case and whitespace) from the same user within this window is refused.
+const SUPPORT_DUPLICATE_WINDOW_MS = Number(process.env.SUPPORT_DUPLICATE_WINDOW_MS || 24 * 60 * 60 * 1000);
+const SUPPORT_MAX_LINKS = Number(process.env.SUPPORT_MAX_LINKS || 3);
+// A run of this many identical characters ("aaaa...", "!!!!...") marks a message as spam.
+const SUPPORT_MAX_REPEATED_CHARS = Number(process.env.SUPPORT_MAX_REPEATED_CHARS || 20);
+// Comma-separated user ids and email domains (example.com or @example.com) that can't use support.
+const SUPPORT_BLOCKLIST = String(process.env.SUPPORT_BLOCKLIST || '')
+  .split(',')
+  .map((v) => v.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
 
 const BUILD_INFO = {
   commit: process.env.VERCEL_GIT_COMMIT_SHA || null,
@@ -60,8 +338,87 @@ const CORS_ALLOWED_ORIGINS = String(process.env.CORS_ALLOWED_ORIGINS || 'https:/
   .filter(Boolean);
 
 const HEALTHCHECK_TOKEN = String(process.env.HEALTHCHECK_TOKEN || '').trim();
+// Scheduled job endpoints (/api/infinitepay/jobs/*). CRON_SECRET is what Vercel Cron sends as Bearer token.
+const JOBS_TOKEN = String(process.env.JOBS_TOKEN || process.env.CRON_SECRET || '').trim();
+// Admins are Supabase users whose app_metadata carries this role (see isAdminUser).
+const ADMIN_ROLE = String(process.env.ADMIN_ROLE || 'admin').trim();
 const INFINITEPAY_WEBHOOK_SECRET = String(process.env.INFINITEPAY_WEBHOOK_SECRET || '').trim();
 
+// Per-route limits; RATE_LIMITS (JSON) overrides any field, e.g. {"intent":{"limit":20}}.
+const RATE_LIMIT_DEFAULTS = {
+  intent: { windowMs: 60_000, limit: 40, keyBy: 'user' },
+  plans: { windowMs: 60_000, limit: 60, keyBy: 'ip' },
+  support: { windowMs: 60_000, limit: 20, keyBy: 'user' },
+  webhook: { windowMs: 60_000, limit: 120, keyBy: 'ip' },
+  health: { windowMs: 60_000, limit: 10, keyBy: 'ip' },
+  admin: { windowMs: 60_000, limit: 60, keyBy: 'ip' },
+  jobs: { windowMs: 60_000, limit: 10, keyBy: 'ip' },
+  renew: { windowMs: 60_000, limit: 20, keyBy: 'ip' },
+  metrics: { windowMs: 60_000, limit: 60, keyBy: 'ip' },
+};
+const RATE_LIMITS = (() => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || '{}') || {};
+  } catch {
+    logger.warn('rate_limits_config_invalid');
+  }
+  const out = {};
+  for (const name of new Set([...Object.keys(RATE_LIMIT_DEFAULTS), ...Object.keys(overrides)])) {
+    out[name] = { ...RATE_LIMIT_DEFAULTS[name], ...overrides[name] };
+  }
+  return out;
+})();
+const RATE_LIMIT_STORE = String(process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+const RATE_LIMIT_MAX_KEYS = Number(process.env.RATE_LIMIT_MAX_KEYS || 10_000);
+// Rotation: every secret listed here verifies (new and old key side by side).
+const INFINITEPAY_WEBHOOK_SECRETS = [
+  ...String(process.env.INFINITEPAY_WEBHOOK_SECRETS || '').split(','),
+  INFINITEPAY_WEBHOOK_SECRET,
+]
+  .map((x) => x.trim())
+  .filter((x, i, all) => x && all.indexOf(x) === i);
+const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || 300);
+const WEBHOOK_REQUIRE_TIMESTAMP = toBoolOrNull(String(process.env.WEBHOOK_REQUIRE_TIMESTAMP || '').trim()) === true;
+
+// Plan catalog: 'file' (plans.json, bundled with the function) or 'supabase' (payment_plans table).
+const PLAN_CATALOG_SOURCE = String(process.env.PLAN_CATALOG_SOURCE || 'file').trim().toLowerCase();
+const PLAN_CATALOG_FILE = process.env.PLAN_CATALOG_FILE || new URL('./plans.json', import.meta.url);
+const PLAN_CATALOG_CACHE_MS = Number(process.env.PLAN_CATALOG_CACHE_MS || 60_000);
+// Optional JSON file with extra payload paths per field (see PAYLOAD_FIELD_SCHEMA).
+const PAYLOAD_MAPPING_FILE = String(process.env.PAYLOAD_MAPPING_FILE || '').trim();
+// Max difference (in cents) between paid amount and the plan price before a payment is held for review.
+const PAYMENT_AMOUNT_TOLERANCE_CENTS = Number(process.env.PAYMENT_AMOUNT_TOLERANCE_CENTS || 1);
+
+// Matching payments without a usable reference to pending intents (see tryMatchIntent).
+const INTENT_MATCH_WINDOW_MS = Number(process.env.INTENT_MATCH_WINDOW_MS || 60 * 60 * 1000);
+const INTENT_MATCH_MIN_SCORE = Number(process.env.INTENT_MATCH_MIN_SCORE || 50);
+// How far ahead of the runner-up the best candidate must be; above the time and name weights on purpose.
+const INTENT_MATCH_MIN_MARGIN = Number(process.env.INTENT_MATCH_MIN_MARGIN || 25);
+// Up to this many centavos are added to the plan price so concurrent intents charge distinct amounts. 0 disables it.
+const INTENT_AMOUNT_OFFSET_MAX_CENTS = Number(process.env.INTENT_AMOUNT_OFFSET_MAX_CENTS || 0);
+// Pending intents past this age are moved to `expired` by /jobs/expire-intents and never auto-matched.
+const INTENT_TTL_MS = Number(process.env.INTENT_TTL_MS || 24 * 60 * 60 * 1000);
+
+// Signed payment references issued by /intent (see signReference).
+const PAYMENT_REFERENCE_SECRET = String(process.env.PAYMENT_REFERENCE_SECRET || '').trim();
+const PAYMENT_REFERENCE_TTL_SECONDS = Number(process.env.PAYMENT_REFERENCE_TTL_SECONDS || 48 * 60 * 60);
+// Without a payment timestamp in the payload, expiry is checked this far back from delivery (redeliveries).
+const PAYMENT_REFERENCE_GRACE_SECONDS = Number(process.env.PAYMENT_REFERENCE_GRACE_SECONDS ?? 24 * 60 * 60);
+// Migration only: accept plain user_<uuid>_days_<N> references.
+const ALLOW_LEGACY_REFERENCES = toBoolOrNull(String(process.env.ALLOW_LEGACY_REFERENCES || '').trim()) === true;
+
+// Premium expiry reminders (/jobs/premium-reminders): one email as each of these thresholds (days left) is crossed.
+const PREMIUM_REMINDER_DAYS = String(process.env.PREMIUM_REMINDER_DAYS || '7,3,1')
+  .split(',')
+  .map((d) => Number(d.trim()))
+  .filter((d) => Number.isInteger(d) && d > 0)
+  .sort((a, b) => a - b);
+// Renewal links in reminders are signed with PAYMENT_REFERENCE_SECRET (see signRenewalToken).
+const RENEWAL_LINK_TTL_SECONDS = Number(process.env.RENEWAL_LINK_TTL_SECONDS || 14 * 24 * 60 * 60);
+// Frontend page the renewal link opens (?provider=&token=); the page POSTs the token to /api/:provider/renew.
+const RENEWAL_REDIRECT_URL = String(process.env.RENEWAL_REDIRECT_URL || 'https://pbf.vellosol.com.br/renew').trim();
+
 function safeEqual(a, b) {
   if (typeof a !== 'string' || typeof b !== 'string') return false;
   if (a.length !== b.length) return false;
@@ -79,6 +436,18 @@ function extractSignature(req) {
   if (!candidates.length) return { value: null, algoHint: null };
   const raw = String(candidates[0]).trim();
 
+  // Timestamped format: t=<unix seconds>,v1=<hex>[,v1=<hex>...]
+  if (/(^|,)\s*t=\d+/.test(raw)) {
+    let timestamp = null;
+    const values = [];
+    for (const part of raw.split(',')) {
+      const [k, v] = part.split('=').map((x) => String(x || '').trim());
+      if (k === 't') timestamp = Number(v);
+      else if (k === 'v1' && /^[a-fA-F0-9]+$/.test(v)) values.push(v.toLowerCase());
+    }
+    return { value: values[0] ?? null, values, timestamp, algoHint: 'v1' };
+  }
+
   // Accept common formats like:
   // - sha256=<hex>
   // - hmac-sha256=<hex>
@@ -91,8 +460,46 @@ function extractSignature(req) {
   return { value: raw.toLowerCase(), algoHint: null };
 }
 
+function secretKeyId(secret) {
+  // Identifies which secret matched in logs without leaking it.
+  return createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+// Recently accepted timestamped signatures, kept for the tolerance window to reject exact replays.
+// Per instance; redeliveries are still caught by the provider_payment_id idempotency check.
+// A signature is reserved while its delivery runs and forgotten unless the response is 2xx (see the webhook).
+const seenSignatures = new Map();
+const SEEN_SIGNATURES_MAX = 10_000;
+
+function rememberSignature(digest, expiresAt) {
+  if (seenSignatures.size >= SEEN_SIGNATURES_MAX) {
+    const now = Date.now();
+    for (const [k, exp] of seenSignatures) if (exp <= now) seenSignatures.delete(k);
+    // Still full: drop the oldest (Map keeps insertion order).
+    for (const k of seenSignatures.keys()) {
+      if (seenSignatures.size < SEEN_SIGNATURES_MAX) break;
+      seenSignatures.delete(k);
+    }
+  }
+  seenSignatures.set(digest, expiresAt);
+}
+
+function forgetSignature(digest) {
+  seenSignatures.delete(digest);
+}
+
+function isReplayedSignature(digest) {
+  const exp = seenSignatures.get(digest);
+  if (exp === undefined) return false;
+  if (exp <= Date.now()) {
+    seenSignatures.delete(digest);
+    return false;
+  }
+  return true;
+}
+
 function verifyWebhookSignature(req) {
-  if (!INFINITEPAY_WEBHOOK_SECRET) return { ok: true, skipped: true };
+  if (!INFINITEPAY_WEBHOOK_SECRETS.length) return { ok: true, skipped: true, mode: 'none', keyId: null };
 
   const parsed = extractSignature(req);
   const sig = parsed?.value;
@@ -100,33 +507,136 @@ function verifyWebhookSignature(req) {
 
   const body = typeof req.rawBody === 'string' ? req.rawBody : JSON.stringify(req.body ?? {});
 
-  // Primary strategy: HMAC-SHA256(body, secret)
-  const expectedHmac = createHmac('sha256', INFINITEPAY_WEBHOOK_SECRET).update(body).digest('hex');
-  if (safeEqual(sig, expectedHmac)) return { ok: true, skipped: false, mode: 'hmac_sha256' };
+  if (parsed.timestamp !== undefined) {
+    const ts = parsed.timestamp;
+    if (!Number.isFinite(ts)) return { ok: false, reason: 'invalid_signature_timestamp' };
+    if (Math.abs(Date.now() / 1000 - ts) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) {
+      return { ok: false, reason: 'signature_timestamp_out_of_tolerance' };
+    }
+
+    for (const secret of INFINITEPAY_WEBHOOK_SECRETS) {
+      const expected = createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex');
+      const match = parsed.values.find((v) => safeEqual(v, expected));
+      if (!match) continue;
+
+      const digest = createHash('sha256').update(`${ts}.${match}`).digest('hex');
+      if (isReplayedSignature(digest)) return { ok: false, reason: 'replayed_signature' };
+      rememberSignature(digest, (ts + WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) * 1000);
+      return { ok: true, skipped: false, mode: 'timestamped_hmac_sha256', keyId: secretKeyId(secret), replayDigest: digest };
+    }
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  // Untimestamped signatures can be replayed; refuse them once the provider sends timestamps.
+  if (WEBHOOK_REQUIRE_TIMESTAMP) return { ok: false, reason: 'missing_signature_timestamp' };
+
+  for (const secret of INFINITEPAY_WEBHOOK_SECRETS) {
+    // Primary strategy: HMAC-SHA256(body, secret)
+    const expectedHmac = createHmac('sha256', secret).update(body).digest('hex');
+    if (safeEqual(sig, expectedHmac)) return { ok: true, skipped: false, mode: 'hmac_sha256', keyId: secretKeyId(secret) };
 
-  // Backward compatibility fallback from previous internal implementation.
-  const expectedLegacy = createHash('sha256').update(`${INFINITEPAY_WEBHOOK_SECRET}:${body}`).digest('hex');
-  if (safeEqual(sig, expectedLegacy)) return { ok: true, skipped: false, mode: 'legacy_sha256' };
+    // Backward compatibility fallback from previous internal implementation.
+    const expectedLegacy = createHash('sha256').update(`${secret}:${body}`).digest('hex');
+    if (safeEqual(sig, expectedLegacy)) return { ok: true, skipped: false, mode: 'legacy_sha256', keyId: secretKeyId(secret) };
+  }
 
   return { ok: false, reason: 'invalid_signature' };
 }
 
-const rateBuckets = new Map();
-function rateLimit({ windowMs = 60_000, limit = 60 } = {}) {
-  return (req, res, next) => {
-    try {
-      const ip = String(req.headers?.['cf-connecting-ip'] || req.ip || 'unknown');
-      const key = `${req.path}|${ip}`;
+// Rate limiting. A store counts hits per key in fixed windows:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>
+// 'memory' is per instance (each Vercel instance has its own); 'supabase' is shared through
+// the service_rate_limit_hit RPC and falls back to memory if that call fails.
+function createMemoryRateLimitStore({ maxKeys = 10_000 } = {}) {
+  const buckets = new Map();
+
+  function evict(now) {
+    for (const [k, b] of buckets) if (now > b.resetAt) buckets.delete(k);
+    // Still over the cap: drop the oldest windows (Map keeps insertion order).
+    for (const k of buckets.keys()) {
+      if (buckets.size < maxKeys) break;
+      buckets.delete(k);
+    }
+  }
+
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
       const now = Date.now();
-      const cur = rateBuckets.get(key);
+      const cur = buckets.get(key);
       if (!cur || now > cur.resetAt) {
-        rateBuckets.set(key, { count: 1, resetAt: now + windowMs });
-        return next();
+        if (buckets.size >= maxKeys) evict(now);
+        // Re-insert so the Map order tracks window start.
+        buckets.delete(key);
+        const fresh = { count: 1, resetAt: now + windowMs };
+        buckets.set(key, fresh);
+        return { ...fresh };
       }
       cur.count += 1;
-      if (cur.count > limit) {
-        return res.status(429).json({ error: 'rate_limited' });
+      return { ...cur };
+    },
+  };
+}
+
+function createSupabaseRateLimitStore({ fallback }) {
+  return {
+    name: 'supabase',
+    async hit(key, windowMs) {
+      try {
+        const out = await supabaseRpc('service_rate_limit_hit', { p_key: key, p_window_ms: windowMs });
+        const row = Array.isArray(out) ? out[0] : out;
+        const count = safeNumber(row?.count);
+        const resetAt = row?.reset_at ? Date.parse(row.reset_at) : NaN;
+        if (!Number.isFinite(count) || !Number.isFinite(resetAt)) throw new Error('unexpected rate limit response');
+        return { count, resetAt };
+      } catch (e) {
+        logger.warn('rate_limit_shared_store_failed', { error: String(e?.message || e) });
+        return fallback.hit(key, windowMs);
+      }
+    },
+  };
+}
+
+const memoryRateLimitStore = createMemoryRateLimitStore({ maxKeys: RATE_LIMIT_MAX_KEYS });
+const rateLimitStore =
+  RATE_LIMIT_STORE === 'supabase'
+    ? createSupabaseRateLimitStore({ fallback: memoryRateLimitStore })
+    : memoryRateLimitStore;
+
+function clientIp(req) {
+  return String(req.headers?.['cf-connecting-ip'] || req.ip || 'unknown');
+}
+
+function rateLimit(routeName) {
+  const { windowMs = 60_000, limit = 60, keyBy = 'ip', ipLimit = limit * 5 } = RATE_LIMITS[routeName] ?? {};
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+
+    // Sets the RateLimit headers for one bucket; true when the request is over it (and answered).
+    const checkBucket = async (key, max) => {
+      const { count, resetAt } = await rateLimitStore.hit(key, windowMs);
+      const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+      res.setHeader('RateLimit-Limit', String(max));
+      res.setHeader('RateLimit-Remaining', String(Math.max(max - count, 0)));
+      res.setHeader('RateLimit-Reset', String(resetSeconds));
+      if (count <= max) return false;
+      incCounter(metrics.rateLimited, { route: routeName });
+      res.setHeader('Retry-After', String(resetSeconds));
+      res.status(429).json({ error: 'rate_limited', retryAfter: resetSeconds });
+      return true;
+    };
+
+    try {
+      // Authenticated routes count per user, so users behind one NAT don't share a budget. A looser
+      // per-IP budget (ipLimit) comes first: past it, requests are refused before the auth lookup.
+      let subject = null;
+      if (keyBy === 'user') {
+        if (await checkBucket(`${routeName}|ip_any:${clientIp(req)}`, ipLimit)) return;
+        const user = await getRequestUser(req).catch(() => null);
+        if (user?.id) subject = `user:${user.id}`;
       }
+      if (!subject) subject = `ip:${clientIp(req)}`;
+      if (await checkBucket(`${routeName}|${subject}`, limit)) return;
     } catch {
       // fail-open
     }
@@ -161,35 +671,6 @@ function requireEnv(name, value) {
   return value;
 }
 
-function pickSupportFromEmail() {
-  const raw = String(SUPPORT_FROM_EMAIL || '').trim();
-  if (!raw) return RESEND_FALLBACK_FROM_EMAIL;
-
-  // Consumer inbox domains can't be verified by you in Resend.
-  const lowered = raw.toLowerCase();
-  const blockedDomains = [
-    '@gmail.com',
-    '@googlemail.com',
-    '@hotmail.com',
-    '@outlook.com',
-    '@live.com',
-    '@icloud.com',
-    '@me.com',
-    '@yahoo.com',
-    '@proton.me',
-    '@protonmail.com',
-  ];
-  if (blockedDomains.some((d) => lowered.endsWith(d))) return RESEND_FALLBACK_FROM_EMAIL;
-
-  return raw;
-}
-
-function pickSupportReplyToEmail() {
-  const raw = String(SUPPORT_REPLY_TO_EMAIL || '').trim();
-  if (raw) return raw;
-  return String(SUPPORT_ADMIN_EMAIL || '').trim() || null;
-}
-
 function normalizeAmountCents(raw) {
   if (raw === null || raw === undefined) return null;
   const n = typeof raw === 'string' ? Number(raw) : raw;
@@ -200,12 +681,90 @@ function normalizeAmountCents(raw) {
   return Math.round(n);
 }
 
+function parsePaymentTimestamp(raw) {
+  // ISO string or unix time (seconds or milliseconds) -> ms, else null.
+  if (raw === null || raw === undefined || raw === '') return null;
+  const n = typeof raw === 'number' || /^\d+(\.\d+)?$/.test(String(raw).trim()) ? Number(raw) : NaN;
+  const ms = Number.isFinite(n) ? (n < 1e12 ? n * 1000 : n) : Date.parse(String(raw));
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+}
+
 function nowIso() {
   return new Date().toISOString();
 }
 
-function parseReference(reference) {
+function compactId(id) {
+  // UUIDs lose their dashes to keep the reference short; anything else must already be alphanumeric.
+  const raw = String(id ?? '').trim();
+  if (looksLikeUuid(raw)) return raw.replace(/-/g, '').toLowerCase();
+  return /^[0-9a-zA-Z]+$/.test(raw) ? raw : null;
+}
+
+function expandId(compact) {
+  if (/^[0-9a-f]{32}$/.test(compact)) {
+    return `${compact.slice(0, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}-${compact.slice(16, 20)}-${compact.slice(20)}`;
+  }
+  return compact;
+}
+
+function referenceSignature(body) {
+  return createHmac('sha256', PAYMENT_REFERENCE_SECRET).update(body).digest('hex').slice(0, 32);
+}
+
+function signReference({ intentId, userId, days, amountCents, expiresAt }) {
+  // pr1_<intent>_<user>_<days>_<amount>_<exp base36>_<hmac>
+  if (!PAYMENT_REFERENCE_SECRET) return null;
+  const intent = compactId(intentId);
+  const user = compactId(userId);
+  if (!intent || !user) return null;
+  const exp = Math.floor(expiresAt / 1000).toString(36);
+  const body = `pr1_${intent}_${user}_${Math.round(days)}_${Math.round(amountCents)}_${exp}`;
+  return `${body}_${referenceSignature(body)}`;
+}
+
+function parseSignedReference(reference, at = Date.now()) {
+  // `at`: when the payment was made; a reference is valid if it hadn't expired by then.
+  const m = reference.match(/^(pr1_([0-9a-zA-Z]{1,40})_([0-9a-f]{32})_(\d{1,4})_(\d{1,7})_([0-9a-z]{1,10}))_([0-9a-f]{32})$/);
+  if (!m) return null;
+  if (!PAYMENT_REFERENCE_SECRET || !safeEqual(m[7], referenceSignature(m[1]))) return { invalid: 'bad_signature' };
+  if (parseInt(m[6], 36) * 1000 < at) return { invalid: 'expired' };
+  return {
+    user_id: expandId(m[3]),
+    days: Number(m[4]),
+    intent_id: expandId(m[2]),
+    amount_cents: Number(m[5]),
+    signed: true,
+  };
+}
+
+function signRenewalToken({ userId, planId, expiresAt }) {
+  // rn1.<user>.<plan id, base64url>.<exp base36>.<hmac>
+  if (!PAYMENT_REFERENCE_SECRET) return null;
+  const user = compactId(userId);
+  if (!user || !planId) return null;
+  const exp = Math.floor(expiresAt / 1000).toString(36);
+  const body = `rn1.${user}.${Buffer.from(String(planId)).toString('base64url')}.${exp}`;
+  return `${body}.${referenceSignature(body)}`;
+}
+
+function parseRenewalToken(token) {
+  const m = String(token ?? '').trim().match(/^(rn1\.([0-9a-f]{32})\.([0-9A-Za-z_-]{1,80})\.([0-9a-z]{1,10}))\.([0-9a-f]{32})$/);
+  if (!m) return { invalid: 'malformed' };
+  if (!PAYMENT_REFERENCE_SECRET || !safeEqual(m[5], referenceSignature(m[1]))) return { invalid: 'bad_signature' };
+  if (parseInt(m[4], 36) * 1000 < Date.now()) return { invalid: 'expired' };
+  return { tokenId: m[5], userId: expandId(m[2]), planId: Buffer.from(m[3], 'base64url').toString('utf8') };
+}
+
+function parseReference(reference, { at = Date.now() } = {}) {
   if (!reference || typeof reference !== 'string') return null;
+  const signed = parseSignedReference(reference.trim(), at);
+  if (signed) return signed;
+  const legacy = parseLegacyReference(reference);
+  if (legacy && !ALLOW_LEGACY_REFERENCES) return { invalid: 'legacy_disabled' };
+  return legacy;
+}
+
+function parseLegacyReference(reference) {
   // user_<uuid>_days_<N>
   let m = reference.match(/^user_([0-9a-fA-F-]{36})_days_(\d{1,4})$/);
   if (m) return { user_id: m[1], days: Number(m[2]) };
@@ -314,6 +873,214 @@ function findFirstStringMatch(root, regex, { maxDepth = 5, maxArray = 50, maxKey
   return null;
 }
 
+// Where each field lives in a webhook payload: ordered paths (first non-empty primitive wins),
+// then an optional scan of the whole payload by key name (scanKeys) or string pattern (scanRegex).
+// PAYLOAD_MAPPING_FILE can add paths without a deploy (see loadPayloadMappingOverrides).
+const REFERENCE_REGEX = /pr1_[0-9a-zA-Z]+_[0-9a-f]{32}_\d+_\d+_[0-9a-z]+_[0-9a-f]{32}|user_[0-9a-fA-F-]{36}_(?:days_\d{1,4}|\d{1,4}|premium|standard)/;
+
+const PAYLOAD_FIELD_SCHEMA = {
+  eventName: {
+    paths: ['event', 'type', 'name', 'event_name', 'eventName', 'topic', 'action', 'event_type', 'eventType'],
+  },
+  status: {
+    paths: [
+      'data.status',
+      'data.payment_status',
+      'data.paymentStatus',
+      'data.transaction_status',
+      'data.state',
+      'data.situation',
+      'data.status_detail',
+      'data.statusDetail',
+      'data.payment.status',
+      'data.transaction.status',
+      'data.charge.status',
+      'data.order.status',
+      'status',
+    ],
+    scanKeys: ['status', 'state', 'situation', 'payment_status', 'transaction_status'],
+  },
+  reference: {
+    paths: [
+      'data.reference',
+      'data.external_reference',
+      'data.externalReference',
+      'data.order_reference',
+      'data.orderReference',
+      'data.description',
+      'data.title',
+      'data.message',
+      'data.metadata.reference',
+      'data.metadata.ref',
+      'data.metadata.external_reference',
+      'reference',
+    ],
+    // Some providers move our reference/metadata around; try to find any reference-like string.
+    scanRegex: REFERENCE_REGEX,
+  },
+  providerPaymentId: {
+    paths: [
+      'data.payment_id',
+      'data.paymentId',
+      'data.id',
+      'data.transaction_id',
+      'data.transactionId',
+      'data.transaction_nsu',
+      'data.order_nsu',
+      'data.invoice_slug',
+      'payment_id',
+      'id',
+      'transaction_id',
+      'transactionId',
+      'transaction_nsu',
+      'order_nsu',
+      'invoice_slug',
+    ],
+  },
+  amount: {
+    // Some payloads only include paid_amount.
+    paths: ['data.amount', 'data.total_amount', 'amount', 'total_amount', 'paid_amount', 'paidAmount'],
+    scanKeys: ['amount', 'total_amount', 'paid_amount', 'paidamount'],
+  },
+  payerName: {
+    paths: [
+      'data.customer.name',
+      'data.payer.name',
+      'data.buyer.name',
+      'data.customer_name',
+      'data.customerName',
+      'data.buyer_name',
+      'data.payer_name',
+    ],
+    scanKeys: ['customer_name', 'customername', 'buyer_name', 'buyername', 'payer_name', 'payername'],
+  },
+  payerEmail: {
+    paths: [
+      'data.customer.email',
+      'data.payer.email',
+      'data.buyer.email',
+      'data.customer_email',
+      'data.customerEmail',
+      'data.buyer_email',
+      'data.buyerEmail',
+      'data.email',
+      'email',
+    ],
+    scanKeys: ['email', 'customer_email', 'customeremail', 'buyer_email', 'buyeremail', 'payer_email', 'payeremail'],
+  },
+  userId: {
+    paths: ['data.uid', 'data.user_id', 'data.userId', 'data.metadata.uid', 'data.metadata.user_id', 'data.metadata.userId'],
+  },
+  days: {
+    paths: ['data.days', 'data.metadata.days', 'data.metadata.plan_days'],
+  },
+  refundedAmount: {
+    paths: [
+      'data.refunded_amount',
+      'data.refundedAmount',
+      'data.refund_amount',
+      'data.refundAmount',
+      'data.amount_refunded',
+      'data.refund.amount',
+      'refunded_amount',
+      'refund_amount',
+    ],
+  },
+  reversalId: {
+    paths: ['data.refund_id', 'data.refundId', 'data.refund.id', 'data.chargeback_id', 'data.chargebackId', 'refund_id'],
+  },
+  paidAt: {
+    paths: [
+      'data.paid_at',
+      'data.paidAt',
+      'data.approved_at',
+      'data.approvedAt',
+      'data.confirmed_at',
+      'data.confirmedAt',
+      'data.captured_at',
+      'data.capturedAt',
+      'paid_at',
+    ],
+  },
+};
+
+let payloadMappingCache = { mtimeMs: null, schema: PAYLOAD_FIELD_SCHEMA };
+
+function loadPayloadMappingOverrides() {
+  // File shape: { "<field>": { "paths": [...], "scanKeys": [...] } }. Its paths are tried before the
+  // built-in ones. Re-read whenever the file changes, so the local runtime picks edits up live.
+  if (!PAYLOAD_MAPPING_FILE) return PAYLOAD_FIELD_SCHEMA;
+  try {
+    const { mtimeMs } = statSync(PAYLOAD_MAPPING_FILE);
+    if (payloadMappingCache.mtimeMs === mtimeMs) return payloadMappingCache.schema;
+
+    const overrides = JSON.parse(readFileSync(PAYLOAD_MAPPING_FILE, 'utf8')) || {};
+    const merged = {};
+    for (const field of new Set([...Object.keys(PAYLOAD_FIELD_SCHEMA), ...Object.keys(overrides)])) {
+      const base = PAYLOAD_FIELD_SCHEMA[field] ?? { paths: [] };
+      const extra = overrides[field] ?? {};
+      merged[field] = {
+        ...base,
+        paths: [...(Array.isArray(extra.paths) ? extra.paths.map(String) : []), ...base.paths],
+        scanKeys: [...(base.scanKeys ?? []), ...(Array.isArray(extra.scanKeys) ? extra.scanKeys.map(String) : [])],
+      };
+      if (!merged[field].scanKeys.length) delete merged[field].scanKeys;
+    }
+    payloadMappingCache = { mtimeMs, schema: merged };
+    return merged;
+  } catch (e) {
+    logger.warn('payload_mapping_load_failed', { error: String(e?.message || e) });
+    return payloadMappingCache.schema;
+  }
+}
+
+function readPath(root, path) {
+  let cur = root;
+  for (const key of path.split('.')) {
+    if (cur === null || cur === undefined || typeof cur !== 'object') return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function isPresentPrimitive(v) {
+  if (typeof v === 'string') return v.trim() !== '';
+  return typeof v === 'number' || typeof v === 'boolean';
+}
+
+function extractPayloadFields(evt, schema = loadPayloadMappingOverrides()) {
+  // Returns { values: { field: value|null }, paths: { field: '$.path' | 'scan:$.path' | 'scan' | null } }.
+  const values = {};
+  const paths = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    values[field] = null;
+    paths[field] = null;
+
+    const hitPath = (spec.paths ?? []).find((p) => isPresentPrimitive(readPath(evt, p)));
+    if (hitPath) {
+      values[field] = readPath(evt, hitPath);
+      paths[field] = `$.${hitPath}`;
+      continue;
+    }
+    if (spec.scanKeys?.length) {
+      const found = findFirstKeyMatch(evt, new Set(spec.scanKeys.map((k) => k.toLowerCase())));
+      if (found) {
+        values[field] = found.value;
+        paths[field] = `scan:${found.path}`;
+        continue;
+      }
+    }
+    if (spec.scanRegex) {
+      const found = findFirstStringMatch(evt, spec.scanRegex);
+      if (found) {
+        values[field] = found;
+        paths[field] = 'scan';
+      }
+    }
+  }
+  return { values, paths };
+}
+
 function computeApproval({ eventName, status, evt }) {
   const explicitApproved =
     toBoolOrNull(evt?.data?.approved) ??
@@ -430,6 +1197,54 @@ function computeApproval({ eventName, status, evt }) {
   return null;
 }
 
+function computeReversal({ eventName, status }) {
+  // Returns 'refund' | 'chargeback' | null. Reversals are also "not approved" for computeApproval,
+  // but they need their own path because credits may already have been granted.
+  const refundStatuses = new Set([
+    'refunded',
+    'partially_refunded',
+    'partial_refund',
+    // PT-BR common variants
+    'estornado',
+    'estornada',
+    'estorno',
+    'reembolsado',
+    'reembolsada',
+    'devolvido',
+    'devolvida',
+  ]);
+  const chargebackStatuses = new Set([
+    'chargeback',
+    'charged_back',
+    'chargedback',
+    'disputed',
+    'contestado',
+    'contestada',
+  ]);
+
+  if (status && chargebackStatuses.has(status)) return 'chargeback';
+  if (status && refundStatuses.has(status)) return 'refund';
+
+  const refundEvents = new Set([
+    'payment.refunded',
+    'payment.partially_refunded',
+    'transaction.refunded',
+    'transaction.partially_refunded',
+    'charge.refunded',
+  ]);
+  const chargebackEvents = new Set([
+    'payment.chargeback',
+    'payment.charged_back',
+    'transaction.chargeback',
+    'transaction.charged_back',
+    'charge.dispute.created',
+  ]);
+  if (eventName && chargebackEvents.has(eventName)) return 'chargeback';
+  if (eventName && refundEvents.has(eventName)) return 'refund';
+
+  return null;
+}
+
 function looksLikeUuid(v) {
   return typeof v === 'string' && /^[0-9a-fA-F-]{36}$/.test(v.trim());
 }
@@ -440,33 +1255,157 @@ function safeNumber(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+function canonicalJson(value) {
+  // JSON with object keys sorted recursively, so the same payload always serializes the same way.
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
 function stableFallbackPaymentId(evt) {
   try {
-    const raw = JSON.stringify(evt ?? {});
+    const raw = canonicalJson(evt ?? {});
     return createHash('sha256').update(raw).digest('hex').slice(0, 32);
   } catch {
     return null;
   }
 }
 
-function daysFromAmount(amountCents) {
+function legacyFallbackPaymentId(evt) {
+  // The id fallback payments were logged under before canonicalJson (key order as received).
+  try {
+    return createHash('sha256').update(JSON.stringify(evt ?? {})).digest('hex').slice(0, 32);
+  } catch {
+    return null;
+  }
+}
+
+// Payment provider adapters. The webhook handler, intents, locks, outbox and credit RPCs are shared;
+// an adapter only describes how one gateway signs and shapes its notifications:
+//   id                                          -> `provider` column value and the :provider URL segment
+//   verifySignature(req)                        -> { ok, skipped?, mode, keyId, replayDigest? } | { ok: false, reason }
+//   extractFields(evt)                          -> { values, paths } with the PAYLOAD_FIELD_SCHEMA fields
+//   computeApproval({ eventName, status, evt }) -> true | false | null (unknown)
+//   computeReversal({ eventName, status, evt }) -> 'refund' | 'chargeback' | null
+//   derivePaymentId({ fields, evt })            -> provider payment id, stable across redeliveries
+//   paymentIdAliases({ fields, evt })           -> older ids the same payment may be logged under (optional)
+const infinitePayProvider = {
+  id: 'infinitepay',
+  verifySignature: verifyWebhookSignature,
+  extractFields: (evt) => extractPayloadFields(evt),
+  computeApproval,
+  computeReversal,
+  derivePaymentId: ({ fields, evt }) =>
+    fields.providerPaymentId === null ? stableFallbackPaymentId(evt) : String(fields.providerPaymentId),
+  paymentIdAliases: ({ fields, evt }) => (fields.providerPaymentId === null ? [legacyFallbackPaymentId(evt)] : []),
+};
+
+const PAYMENT_PROVIDERS = new Map([[infinitePayProvider.id, infinitePayProvider]]);
+// Rows written before provider adapters existed (and plans/support/admin/jobs routes) belong to it.
+const DEFAULT_PAYMENT_PROVIDER = infinitePayProvider.id;
+
+function getPaymentProvider(id) {
+  return PAYMENT_PROVIDERS.get(String(id || '').trim().toLowerCase()) ?? null;
+}
+
+function normalizePlan(row) {
+  // Accepts both the JSON config shape ({ names: { en, pt, es } }) and table rows (name_en, name_pt, name_es).
+  const id = row?.id === null || row?.id === undefined ? '' : String(row.id).trim();
+  const amountCents = safeNumber(row?.amount_cents);
+  const days = safeNumber(row?.days);
+  if (!id || !Number.isFinite(amountCents) || amountCents <= 0 || !Number.isFinite(days) || days <= 0) return null;
+  return {
+    id,
+    amountCents: Math.round(amountCents),
+    days: Math.round(days),
+    currency: String(row?.currency || 'BRL').toUpperCase(),
+    active: toBoolOrNull(row?.active) !== false,
+    names: {
+      en: row?.names?.en ?? row?.name_en ?? null,
+      pt: row?.names?.pt ?? row?.name_pt ?? null,
+      es: row?.names?.es ?? row?.name_es ?? null,
+    },
+  };
+}
+
+function readPlanCatalogFile() {
+  const raw = readFileSync(PLAN_CATALOG_FILE, 'utf8');
+  const list = JSON.parse(raw);
+  return (Array.isArray(list) ? list : []).map(normalizePlan).filter(Boolean);
+}
+
+let planCatalogCache = { plans: null, loadedAt: 0 };
+
+async function loadPlanCatalog() {
+  // Includes deactivated (historical) plans so old payments still resolve; callers filter on `active`.
+  const now = Date.now();
+  if (planCatalogCache.plans && now - planCatalogCache.loadedAt < PLAN_CATALOG_CACHE_MS) return planCatalogCache.plans;
+
+  let plans = null;
+  if (PLAN_CATALOG_SOURCE === 'supabase') {
+    try {
+      const rows = await supabaseSelect('payment_plans', new URLSearchParams({ select: '*' }).toString());
+      plans = (Array.isArray(rows) ? rows : []).map(normalizePlan).filter(Boolean);
+    } catch (e) {
+      logger.warn('plan_catalog_load_failed', { error: String(e?.message || e) });
+      if (planCatalogCache.plans) return planCatalogCache.plans;
+    }
+  }
+  if (!plans) plans = readPlanCatalogFile();
+
+  planCatalogCache = { plans, loadedAt: now };
+  return plans;
+}
+
+async function findPlanById(planId) {
+  if (!planId) return null;
+  const plans = await loadPlanCatalog();
+  return plans.find((p) => p.id === String(planId).trim()) ?? null;
+}
+
+async function findPlanByAmount(amountCents) {
   if (!Number.isFinite(amountCents)) return null;
-  // Alinhar com os preços do frontend.
-  const map = new Map([
-    [799, 30],
-    [3500, 180],
-    [5999, 365],
-  ]);
-  return map.get(amountCents) ?? null;
+  const plans = await loadPlanCatalog();
+  const matches = plans.filter((p) => p.amountCents === amountCents);
+  // Prefer the currently sold plan when an old price collides with a new one.
+  return matches.find((p) => p.active) ?? matches[0] ?? null;
+}
+
+async function daysFromAmount(amountCents) {
+  const plan = await findPlanByAmount(amountCents);
+  return plan?.days ?? null;
+}
+
+async function checkPaidAmount({ amountCents, days, intentAmountCents = null, intentDays = null }) {
+  // Entitlement check: the paid amount must match the price of the days being granted,
+  // either the matched intent's amount or any catalog price (including historical) for those days.
+  const expected = [];
+  if (Number.isFinite(intentAmountCents) && Number(intentDays) === days) expected.push(intentAmountCents);
+  const plans = await loadPlanCatalog();
+  for (const p of plans) {
+    if (p.days === days && !expected.includes(p.amountCents)) expected.push(p.amountCents);
+  }
+
+  if (!Number.isFinite(amountCents)) return { ok: false, reason: 'missing_amount', expectedCents: expected[0] ?? null };
+  if (!expected.length) return { ok: false, reason: 'unknown_plan_days', expectedCents: null };
+
+  const tolerance = Number.isFinite(PAYMENT_AMOUNT_TOLERANCE_CENTS) ? PAYMENT_AMOUNT_TOLERANCE_CENTS : 0;
+  const hit = expected.find((cents) => Math.abs(cents - amountCents) <= tolerance);
+  if (hit !== undefined) return { ok: true, reason: null, expectedCents: hit };
+  return { ok: false, reason: 'amount_mismatch', expectedCents: expected[0] };
 }
 
 async function supabaseRpc(fnName, payload) {
   requireEnv('SUPABASE_URL', SUPABASE_URL);
   requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
 
-  const resp = await fetch(`${SUPABASE_URL}/rest/v1/rpc/${fnName}`, {
+  const resp = await supabaseFetch('rpc', fnName, `${SUPABASE_URL}/rest/v1/rpc/${fnName}`, {
     method: 'POST',
     headers: {
+      ...traceHeaders(),
       apikey: SUPABASE_SERVICE_ROLE_KEY,
       Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
       'Content-Type': 'application/json',
@@ -485,17 +1424,20 @@ async function supabaseRpc(fnName, payload) {
   }
 }
 
-async function supabaseInsert(tableName, payload) {
+async function supabaseInsert(tableName, payload, { onConflict = null } = {}) {
   requireEnv('SUPABASE_URL', SUPABASE_URL);
   requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
 
-  const resp = await fetch(`${SUPABASE_URL}/rest/v1/${tableName}`, {
+  // With onConflict, rows that already exist are left untouched instead of failing the insert.
+  const qs = onConflict ? `?${new URLSearchParams({ on_conflict: onConflict }).toString()}` : '';
+  const resp = await supabaseFetch('insert', tableName, `${SUPABASE_URL}/rest/v1/${tableName}${qs}`, {
     method: 'POST',
     headers: {
+      ...traceHeaders(),
       apikey: SUPABASE_SERVICE_ROLE_KEY,
       Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
       'Content-Type': 'application/json',
-      Prefer: 'return=minimal',
+      Prefer: onConflict ? 'resolution=ignore-duplicates,return=minimal' : 'return=minimal',
     },
     body: JSON.stringify(payload ?? {}),
   });
@@ -512,9 +1454,10 @@ async function supabaseInsertReturning(tableName, payload, { select = 'id' } = {
   requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
 
   const qs = new URLSearchParams({ select });
-  const resp = await fetch(`${SUPABASE_URL}/rest/v1/${tableName}?${qs.toString()}`, {
+  const resp = await supabaseFetch('insert_returning', tableName, `${SUPABASE_URL}/rest/v1/${tableName}?${qs.toString()}`, {
     method: 'POST',
     headers: {
+      ...traceHeaders(),
       apikey: SUPABASE_SERVICE_ROLE_KEY,
       Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
       'Content-Type': 'application/json',
@@ -535,24 +1478,102 @@ async function supabaseInsertReturning(tableName, payload, { select = 'id' } = {
   }
 }
 
-async function supabaseAuthGetUserFromBearer(bearerToken) {
+async function supabaseAuthGetUserById(userId) {
   requireEnv('SUPABASE_URL', SUPABASE_URL);
   requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
 
-  if (!bearerToken || typeof bearerToken !== 'string') return null;
-
-  const resp = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+  const resp = await supabaseFetch('auth_admin_user', 'auth', `${SUPABASE_URL}/auth/v1/admin/users/${encodeURIComponent(userId)}`, {
     method: 'GET',
     headers: {
+      ...traceHeaders(),
       apikey: SUPABASE_SERVICE_ROLE_KEY,
-      Authorization: `Bearer ${bearerToken}`,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
       'Content-Type': 'application/json',
     },
   });
 
   const text = await resp.text();
-  if (!resp.ok) return null;
-  try {
+  if (!resp.ok) {
+    throw new Error(`Supabase auth user ${userId} lookup failed (${resp.status}): ${text}`);
+  }
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function supabaseOpenApiSpec() {
+  // PostgREST describes every exposed table, column and RPC at the API root.
+  requireEnv('SUPABASE_URL', SUPABASE_URL);
+  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+
+  const resp = await supabaseFetch('openapi', 'rest', `${SUPABASE_URL}/rest/v1/`, {
+    method: 'GET',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      Accept: 'application/openapi+json',
+    },
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Supabase OpenAPI spec failed (${resp.status}): ${text.slice(0, 200)}`);
+  }
+  return JSON.parse(text);
+}
+
+function extractBearerToken(req) {
+  const auth = req.headers?.authorization || req.headers?.Authorization || '';
+  const m = String(auth).match(/^Bearer\s+(.+)$/i);
+  return m?.[1] || null;
+}
+
+function extractRequestToken(req) {
+  // EventSource can't send headers, so the intent event stream also takes the token as ?access_token=.
+  const bearer = extractBearerToken(req);
+  if (bearer) return bearer;
+  if (req.method === 'GET' && /^\/api\/[^/]+\/intent\/[^/]+\/events$/.test(`${req.baseUrl || ''}${req.path || ''}`)) {
+    return String(req.query?.access_token || '').trim() || null;
+  }
+  return null;
+}
+
+function getRequestUser(req) {
+  // Memoized per request: the rate limiter and the route handler share one auth lookup.
+  if (!req.authUserPromise) {
+    const token = extractRequestToken(req);
+    req.authUserPromise = token
+      ? supabaseAuthGetUserFromBearer(token).then((user) => {
+        setRequestUserId(user?.id);
+        return user;
+      })
+      : Promise.resolve(null);
+  }
+  return req.authUserPromise;
+}
+
+async function supabaseAuthGetUserFromBearer(bearerToken) {
+  requireEnv('SUPABASE_URL', SUPABASE_URL);
+  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+
+  if (!bearerToken || typeof bearerToken !== 'string') return null;
+
+  const resp = await supabaseFetch('auth_user', 'auth', `${SUPABASE_URL}/auth/v1/user`, {
+    method: 'GET',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${bearerToken}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) return null;
+  try {
     const json = text ? JSON.parse(text) : null;
     return json || null;
   } catch {
@@ -560,100 +1581,278 @@ async function supabaseAuthGetUserFromBearer(bearerToken) {
   }
 }
 
-app.use('/api/infinitepay/intent', rateLimit({ windowMs: 60_000, limit: 40 }));
-app.use('/api/infinitepay/support', rateLimit({ windowMs: 60_000, limit: 20 }));
-app.use('/api/infinitepay/webhook', rateLimit({ windowMs: 60_000, limit: 120 }));
-app.use('/api/infinitepay/health', rateLimit({ windowMs: 60_000, limit: 10 }));
+// Every /api/:provider/* route gets the adapter as req.paymentProvider, or 404s.
+app.param('provider', (req, res, next, id) => {
+  const provider = getPaymentProvider(id);
+  if (!provider) return res.status(404).json({ error: 'unknown_provider' });
+  req.paymentProvider = provider;
+  return next();
+});
+
+app.use('/api/:provider/intent', rateLimit('intent'));
+app.use('/api/:provider/renew', rateLimit('renew'));
+app.use('/api/infinitepay/plans', rateLimit('plans'));
+app.use('/api/infinitepay/support', rateLimit('support'));
+app.use('/api/:provider/webhook', rateLimit('webhook'));
+app.use('/api/infinitepay/health', rateLimit('health'));
+app.use('/api/infinitepay/admin', rateLimit('admin'));
+app.use('/api/infinitepay/jobs', rateLimit('jobs'));
+app.use('/metrics', rateLimit('metrics'));
+
+app.get('/api/infinitepay/plans', async (req, res) => {
+  try {
+    const plans = await loadPlanCatalog();
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    return res.status(200).json({
+      plans: plans
+        .filter((p) => p.active)
+        .map((p) => ({ id: p.id, amountCents: p.amountCents, days: p.days, currency: p.currency, names: p.names })),
+    });
+  } catch (e) {
+    logger.error('plans_list_failed', { error: e });
+    return res.status(500).json({ error: 'plans_unavailable' });
+  }
+});
+
+async function createPaymentIntent({ provider, user, plan, note = 'server_create_intent' }) {
+  // Shared by POST /intent and the renewal links sent in premium reminders.
+  const userId = user.id;
+  const baseAmountCents = plan.amountCents;
+  const days = plan.days;
+
+  // Best-effort: cancel any previous pending intents for this user+price to reduce ambiguity.
+  try {
+    const qs = new URLSearchParams({
+      provider: `eq.${provider}`,
+      status: 'eq.pending',
+      user_id: `eq.${userId}`,
+      or: `(amount_cents.eq.${baseAmountCents},base_amount_cents.eq.${baseAmountCents})`,
+      select: 'id',
+    });
+    await supabasePatch('payment_intents', qs.toString(), {
+      status: 'canceled',
+      note: 'superseded_by_new_intent',
+    });
+  } catch {
+    // ignore
+  }
+
+  let amountOffsetCents = 0;
+  try {
+    amountOffsetCents = await allocateAmountOffset({ provider, baseAmountCents });
+  } catch (e) {
+    logger.warn('intent_offset_allocation_failed', { error: String(e?.message || e) });
+  }
+  const amountCents = baseAmountCents + amountOffsetCents;
+
+  // Payer signals for tryMatchIntent, in case the provider drops the reference.
+  const rows = await supabaseInsertReturning('payment_intents', {
+    user_id: userId,
+    provider,
+    plan_id: plan.id,
+    amount_cents: amountCents,
+    base_amount_cents: baseAmountCents,
+    amount_offset_cents: amountOffsetCents,
+    payer_email: user?.email ?? null,
+    payer_name: user?.user_metadata?.full_name ?? user?.user_metadata?.name ?? null,
+    checkout_started_at: nowIso(),
+    expires_at: new Date(Date.now() + INTENT_TTL_MS).toISOString(),
+    days,
+    status: 'pending',
+    note,
+  });
+
+  const intentId = Array.isArray(rows) ? rows?.[0]?.id : null;
+  incCounter(metrics.intentsCreated, { provider, plan: plan.id });
+  const reference = intentId
+    ? signReference({ intentId, userId, days, amountCents, expiresAt: Date.now() + PAYMENT_REFERENCE_TTL_SECONDS * 1000 })
+    : null;
+  return { intentId, amountCents, baseAmountCents, amountOffsetCents, days, reference };
+}
 
-app.post('/api/infinitepay/intent', async (req, res) => {
+app.post('/api/:provider/intent', async (req, res) => {
   try {
+    const provider = req.paymentProvider;
     const hasSupabaseUrl = Boolean(SUPABASE_URL);
     const hasServiceRoleKey = Boolean(SUPABASE_SERVICE_ROLE_KEY);
     if (!hasSupabaseUrl || !hasServiceRoleKey) {
       return res.status(500).json({ error: 'missing_supabase_env' });
     }
 
-    const auth = req.headers?.authorization || req.headers?.Authorization || '';
-    const m = String(auth).match(/^Bearer\s+(.+)$/i);
-    const token = m?.[1] || null;
+    const token = extractBearerToken(req);
     if (!token) return res.status(401).json({ error: 'missing_bearer_token' });
 
-    const user = await supabaseAuthGetUserFromBearer(token);
+    const user = await getRequestUser(req);
     const userId = user?.id ?? null;
     if (!userId) return res.status(401).json({ error: 'invalid_session' });
 
-    const amountCents = normalizeAmountCents(req?.body?.amount_cents ?? req?.body?.amountCents ?? null);
-    const daysRaw = safeNumber(req?.body?.days ?? null);
-    const days = Number.isFinite(daysRaw) && daysRaw > 0 ? Math.round(daysRaw) : daysFromAmount(amountCents);
-
-    if (!Number.isFinite(amountCents) || amountCents <= 0) {
-      return res.status(400).json({ error: 'invalid_amount' });
+    // Price and days always come from the catalog. Older frontends that still send amount_cents
+    // are accepted only when the amount is exactly the price of an active plan.
+    const planIdIn = req?.body?.plan_id ?? req?.body?.planId ?? null;
+    let plan = null;
+    if (planIdIn) {
+      plan = await findPlanById(planIdIn);
+    } else {
+      plan = await findPlanByAmount(normalizeAmountCents(req?.body?.amount_cents ?? req?.body?.amountCents ?? null));
     }
-    if (!Number.isFinite(days) || days <= 0) {
-      return res.status(400).json({ error: 'invalid_days' });
+    if (!plan || !plan.active) {
+      return res.status(400).json({ error: 'invalid_plan' });
+    }
+
+    const intent = await createPaymentIntent({ provider: provider.id, user, plan });
+    return res.status(200).json({
+      ok: true,
+      provider: provider.id,
+      userId,
+      planId: plan.id,
+      ...intent,
+    });
+  } catch (e) {
+    logger.error('intent_create_failed', { error: e });
+    return res.status(500).json({ error: 'intent_create_failed' });
+  }
+});
+
+// Renewal from the premium reminder email. The link opens the frontend page, which POSTs the token here;
+// a GET would let mail scanners and link prefetchers create intents (and cancel pending ones) on their own.
+// Each token is good for one intent (renewal_link_uses).
+app.post('/api/:provider/renew', async (req, res) => {
+  try {
+    const token = parseRenewalToken(req.body?.token);
+    if (token.invalid) {
+      logger.warn('renewal_link_rejected', { reason: token.invalid });
+      return res.status(400).json({ error: token.invalid === 'expired' ? 'link_expired' : 'invalid_link' });
     }
+    setRequestUserId(token.userId);
+
+    const plan = await findRenewalPlan({ planId: token.planId });
+    if (!plan) return res.status(409).json({ error: 'plan_unavailable' });
+    const user = await supabaseAuthGetUserById(token.userId);
+    if (!user?.id) return res.status(400).json({ error: 'invalid_link' });
 
-    // Best-effort: cancel any previous pending intents for this user+amount to reduce ambiguity.
     try {
-      const qs = new URLSearchParams({
-        provider: 'eq.infinitepay',
-        status: 'eq.pending',
-        user_id: `eq.${userId}`,
-        amount_cents: `eq.${amountCents}`,
-        select: 'id',
-      });
-      await supabasePatch('payment_intents', qs.toString(), {
-        status: 'canceled',
-        note: 'superseded_by_new_intent',
+      await supabaseInsert('renewal_link_uses', {
+        token_id: token.tokenId,
+        user_id: user.id,
+        plan_id: plan.id,
+        used_at: nowIso(),
       });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (msg.includes('(409)') || msg.includes('23505')) return res.status(409).json({ error: 'link_used' });
+      throw e;
+    }
+
+    const provider = req.paymentProvider.id;
+    let intent;
+    try {
+      intent = await createPaymentIntent({ provider, user, plan, note: 'renewal_link' });
+    } catch (e) {
+      // Give the link back so the user can try again.
+      await supabaseDelete('renewal_link_uses', new URLSearchParams({ token_id: `eq.${token.tokenId}` }).toString()).catch(() => {});
+      throw e;
+    }
+    logger.info('renewal_intent_created', { intentId: intent.intentId, planId: plan.id });
+    try {
+      const qs = new URLSearchParams({ token_id: `eq.${token.tokenId}` });
+      await supabasePatch('renewal_link_uses', qs.toString(), { intent_id: intent.intentId ?? null });
     } catch {
       // ignore
     }
+    return res.status(200).json({ ok: true, provider, userId: user.id, planId: plan.id, ...intent });
+  } catch (e) {
+    logger.error('renewal_link_failed', { error: e });
+    return res.status(500).json({ error: 'renew_failed' });
+  }
+});
 
-    const rows = await supabaseInsertReturning('payment_intents', {
-      user_id: userId,
-      provider: 'infinitepay',
-      amount_cents: amountCents,
-      days,
-      status: 'pending',
-      note: 'server_create_intent',
-    });
+// Lifecycle of payment_intents.status as seen by the frontend.
+const INTENT_STATES = new Set(['pending', 'matched', 'applied', 'error', 'canceled', 'expired', 'refunded']);
+// States after which nothing else happens to an intent; the event stream closes on them.
+const INTENT_TERMINAL_STATES = new Set(['applied', 'error', 'canceled', 'expired', 'refunded']);
+
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15_000);
+// Serverless functions have a max duration; close before it and let EventSource reconnect.
+const SSE_MAX_DURATION_MS = Number(process.env.SSE_MAX_DURATION_MS || 55_000);
+
+// In-process pub/sub for intent state changes. Only reaches clients connected to this instance;
+// clients on other instances converge because every (re)connect re-reads the intent from Supabase.
+const intentSubscribers = new Map();
+
+function subscribeIntent(intentId, fn) {
+  const key = String(intentId);
+  if (!intentSubscribers.has(key)) intentSubscribers.set(key, new Set());
+  intentSubscribers.get(key).add(fn);
+  return () => {
+    const set = intentSubscribers.get(key);
+    if (!set) return;
+    set.delete(fn);
+    if (!set.size) intentSubscribers.delete(key);
+  };
+}
+
+function publishIntentState(intentId, state) {
+  if (!intentId) return;
+  const set = intentSubscribers.get(String(intentId));
+  if (!set) return;
+  for (const fn of [...set]) {
+    try {
+      fn({ intentId: String(intentId), state });
+    } catch {
+      // ignore
+    }
+  }
+}
 
-    const intentId = Array.isArray(rows) ? rows?.[0]?.id : null;
-    return res.status(200).json({ ok: true, intentId, userId, amountCents, days });
+async function getPremiumExpiry(userId) {
+  // Best-effort: the status endpoint still answers if the RPC is missing.
+  try {
+    const out = await supabaseRpc('service_get_user_premium_until', { p_user_id: userId });
+    if (typeof out === 'string') return out;
+    if (Array.isArray(out)) return out[0]?.premium_until ?? null;
+    return out?.premium_until ?? null;
   } catch (e) {
-    console.error('Erro ao criar payment_intent:', e);
-    return res.status(500).json({ error: 'intent_create_failed' });
+    logger.warn('premium_expiry_lookup_failed', { error: String(e?.message || e) });
+    return null;
   }
-});
+}
 
-async function resendSendEmail({ from, to, subject, text, replyTo }) {
-  requireEnv('RESEND_API_KEY', RESEND_API_KEY);
-  if (!from) throw new Error('Missing sender email (SUPPORT_FROM_EMAIL)');
+function isValidIntentId(intentId) {
+  return looksLikeUuid(intentId) || /^[0-9a-zA-Z]{1,40}$/.test(intentId);
+}
 
-  const resp = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${RESEND_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      from,
-      to,
-      subject,
-      text,
-      ...(replyTo ? { reply_to: replyTo } : {}),
-    }),
+async function fetchUserIntent({ provider, userId, intentId }) {
+  // Scoped to the owner: someone else's intent is indistinguishable from a missing one.
+  const qs = new URLSearchParams({
+    select: 'id,status,plan_id,amount_cents,days,provider_payment_id,created_at,matched_at,expires_at',
+    id: `eq.${intentId}`,
+    provider: `eq.${provider}`,
+    user_id: `eq.${userId}`,
+    limit: '1',
   });
+  const rows = await supabaseSelect('payment_intents', qs.toString());
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
 
-  const textResp = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`Resend failed (${resp.status}): ${textResp}`);
-  }
-  return textResp;
+async function describeIntent(userId, intent) {
+  const state = INTENT_STATES.has(intent.status) ? intent.status : 'pending';
+  const isApplied = state === 'applied' || state === 'refunded';
+  const premiumUntil = isApplied ? await getPremiumExpiry(userId) : null;
+  return {
+    intentId: intent.id,
+    state,
+    planId: intent.plan_id ?? null,
+    amountCents: intent.amount_cents ?? null,
+    providerPaymentId: intent.provider_payment_id ?? null,
+    appliedDays: isApplied ? intent.days ?? null : null,
+    createdAt: intent.created_at ?? null,
+    matchedAt: intent.matched_at ?? null,
+    expiresAt: intent.expires_at ?? null,
+    premiumUntil,
+  };
 }
 
-app.post('/api/infinitepay/support', async (req, res) => {
+app.get('/api/:provider/intent/:id', async (req, res) => {
   try {
     const hasSupabaseUrl = Boolean(SUPABASE_URL);
     const hasServiceRoleKey = Boolean(SUPABASE_SERVICE_ROLE_KEY);
@@ -661,294 +1860,1902 @@ app.post('/api/infinitepay/support', async (req, res) => {
       return res.status(500).json({ error: 'missing_supabase_env' });
     }
 
-    const auth = req.headers?.authorization || req.headers?.Authorization || '';
-    const m = String(auth).match(/^Bearer\s+(.+)$/i);
-    const token = m?.[1] || null;
+    const token = extractBearerToken(req);
     if (!token) return res.status(401).json({ error: 'missing_bearer_token' });
 
-    const user = await supabaseAuthGetUserFromBearer(token);
+    const user = await getRequestUser(req);
     const userId = user?.id ?? null;
-    const userEmail = user?.email ?? null;
-    if (!userId || !userEmail) return res.status(401).json({ error: 'invalid_session' });
+    if (!userId) return res.status(401).json({ error: 'invalid_session' });
 
-    const subjectIn = typeof req?.body?.subject === 'string' ? req.body.subject.trim() : '';
-    const messageIn = typeof req?.body?.message === 'string' ? req.body.message.trim() : '';
-    const localeIn = typeof req?.body?.locale === 'string' ? req.body.locale.trim() : null;
+    const intentId = String(req.params?.id || '').trim();
+    if (!isValidIntentId(intentId)) return res.status(400).json({ error: 'invalid_intent_id' });
 
-    if (!messageIn || messageIn.length < 10) {
-      return res.status(400).json({ error: 'invalid_message' });
+    const intent = await fetchUserIntent({ provider: req.paymentProvider.id, userId, intentId });
+    if (!intent) return res.status(404).json({ error: 'intent_not_found' });
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, ...(await describeIntent(userId, intent)) });
+  } catch (e) {
+    logger.error('intent_status_failed', { error: e });
+    return res.status(500).json({ error: 'intent_status_failed' });
+  }
+});
+
+app.get('/api/:provider/intent/:id/events', async (req, res) => {
+  try {
+    const hasSupabaseUrl = Boolean(SUPABASE_URL);
+    const hasServiceRoleKey = Boolean(SUPABASE_SERVICE_ROLE_KEY);
+    if (!hasSupabaseUrl || !hasServiceRoleKey) {
+      return res.status(500).json({ error: 'missing_supabase_env' });
     }
 
-    const ticketId = `s_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
-    const subject = subjectIn ? `[PBF Support] ${subjectIn} (${ticketId})` : `[PBF Support] New message (${ticketId})`;
-
-    const adminText = [
-      `Ticket: ${ticketId}`,
-      `User ID: ${userId}`,
-      `User Email: ${userEmail}`,
-      localeIn ? `Locale: ${localeIn}` : null,
-      '',
-      messageIn,
-    ].filter(Boolean).join('\n');
-
-    const ackSubject = `PBF Support — We received your message / Recebemos sua mensagem / Hemos recibido tu mensaje (${ticketId})`;
-    const ackText = [
-      'EN: We received your message and we are reviewing it. We will reply as soon as possible.',
-      'PT: Recebemos sua mensagem e estamos analisando. Vamos responder o quanto antes.',
-      'ES: Hemos recibido tu mensaje y lo estamos revisando. Responderemos lo antes posible.',
-      '',
-      `Ticket: ${ticketId}`,
-    ].join('\n');
-
-    const fromEmail = pickSupportFromEmail();
-    const adminReplyTo = pickSupportReplyToEmail();
-
-    await resendSendEmail({
-      from: fromEmail,
-      to: SUPPORT_ADMIN_EMAIL,
-      subject,
-      text: adminText,
-      replyTo: userEmail,
-    });
+    // Same lookup as the `intent` rate limiter, which keys this stream by user too.
+    if (!extractRequestToken(req)) return res.status(401).json({ error: 'missing_bearer_token' });
+
+    const user = await getRequestUser(req);
+    const userId = user?.id ?? null;
+    if (!userId) return res.status(401).json({ error: 'invalid_session' });
+
+    const intentId = String(req.params?.id || '').trim();
+    if (!isValidIntentId(intentId)) return res.status(400).json({ error: 'invalid_intent_id' });
+
+    const intent = await fetchUserIntent({ provider: req.paymentProvider.id, userId, intentId });
+    if (!intent) return res.status(404).json({ error: 'intent_not_found' });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    let seq = 0;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let deadline = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      res.end();
+    };
+
+    const send = (payload) => {
+      if (closed) return;
+      seq += 1;
+      res.write(`id: ${seq}\nevent: state\ndata: ${JSON.stringify(payload)}\n\n`);
+      if (INTENT_TERMINAL_STATES.has(payload.state)) close();
+    };
+
+    req.on('close', close);
 
-    await resendSendEmail({
-      from: fromEmail,
-      to: userEmail,
-      subject: ackSubject,
-      text: ackText,
-      replyTo: adminReplyTo,
+    unsubscribe = subscribeIntent(intentId, async ({ state }) => {
+      // Re-read so the pushed payload has the same shape (and premium expiry) as the status endpoint.
+      try {
+        const fresh = await fetchUserIntent({ provider: req.paymentProvider.id, userId, intentId });
+        send(fresh ? await describeIntent(userId, fresh) : { intentId, state });
+      } catch {
+        send({ intentId, state });
+      }
     });
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, SSE_HEARTBEAT_MS);
+    deadline = setTimeout(close, SSE_MAX_DURATION_MS);
 
-    return res.status(200).json({ ok: true, ticketId });
+    // Current state first: also covers updates made by another instance before this (re)connect.
+    send(await describeIntent(userId, intent));
   } catch (e) {
-    console.error('Erro ao enviar suporte:', e);
-    const msg = String(e?.message || 'support_failed').slice(0, 220);
-    return res.status(500).json({ error: 'support_failed', message: msg });
+    logger.error('intent_events_failed', { error: e });
+    if (!res.headersSent) return res.status(500).json({ error: 'intent_events_failed' });
+    res.end();
   }
 });
 
-async function supabaseSelect(tableName, queryString) {
-  requireEnv('SUPABASE_URL', SUPABASE_URL);
-  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+const emailTemplateCache = new Map();
 
-  const resp = await fetch(`${SUPABASE_URL}/rest/v1/${tableName}?${queryString}`, {
-    method: 'GET',
+function readEmailTemplateFile(name) {
+  // Cached per file and re-read when its mtime changes. null when the file doesn't exist.
+  const url = new URL(name, EMAIL_TEMPLATES_DIR);
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(url).mtimeMs;
+  } catch {
+    return null;
+  }
+  const cached = emailTemplateCache.get(name);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.content;
+  const content = readFileSync(url, 'utf8');
+  emailTemplateCache.set(name, { mtimeMs, content });
+  return content;
+}
+
+function emailLocaleChain(locale) {
+  // 'pt-BR' -> ['pt-BR', 'pt', 'en']. Anything that doesn't look like a locale goes straight to the default.
+  const chain = [];
+  const m = /^([a-z]{2,3})(?:[-_]([a-z0-9]{2,8}))?$/i.exec(String(locale || '').trim());
+  if (m) {
+    const lang = m[1].toLowerCase();
+    if (m[2]) chain.push(`${lang}-${m[2].length === 2 ? m[2].toUpperCase() : m[2]}`);
+    chain.push(lang);
+  }
+  if (!chain.includes(EMAIL_DEFAULT_LOCALE)) chain.push(EMAIL_DEFAULT_LOCALE);
+  return chain;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderTemplateString(template, vars, { html }) {
+  // {{#x}}..{{/x}} renders when x is truthy, {{^x}}..{{/x}} when it isn't (no nesting).
+  // {{x}} is escaped in HTML (newlines become <br>), {{{x}}} is inserted as is.
+  const withSections = template.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, sign, key, inner) =>
+    (sign === '#') === Boolean(vars[key]) ? inner : ''
+  );
+  return withSections.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (_, rawKey, key) => {
+    if (rawKey) return String(vars[rawKey] ?? '');
+    const value = String(vars[key] ?? '');
+    return html ? escapeHtml(value).replace(/\r?\n/g, '<br>') : value;
+  });
+}
+
+function resolveEmailLocale(template, locale) {
+  // First locale in the chain that has both files of the template; callers format dates/money with it.
+  return (
+    emailLocaleChain(locale).find(
+      (loc) => readEmailTemplateFile(`${template}/${loc}.txt`) !== null && readEmailTemplateFile(`${template}/${loc}.html`) !== null
+    ) ?? null
+  );
+}
+
+function renderEmail(template, locale, vars = {}) {
+  // Returns { subject, text, html, locale } rendered in resolveEmailLocale's locale.
+  // The subject is the `subject:` line on top of the .txt file, separated from the body by `---`.
+  const loc = resolveEmailLocale(template, locale);
+  if (!loc) throw new Error(`Missing email template: ${template} (${locale || EMAIL_DEFAULT_LOCALE})`);
+  const textSrc = readEmailTemplateFile(`${template}/${loc}.txt`);
+  const htmlSrc = readEmailTemplateFile(`${template}/${loc}.html`);
+
+  const front = /^subject:(.*)\r?\n---\r?\n/i.exec(textSrc);
+  const all = { brandName: EMAIL_BRAND_NAME, year: new Date().getUTCFullYear(), ...vars };
+  const subject = renderTemplateString(front ? front[1] : '', all, { html: false }).trim();
+  const textBody = renderTemplateString(front ? textSrc.slice(front[0].length) : textSrc, all, { html: false });
+  const htmlBody = renderTemplateString(htmlSrc, all, { html: true });
+
+  const layoutVars = { ...all, subject, lang: loc };
+  return {
+    subject,
+    text: renderTemplateString(readEmailTemplateFile('layout.txt') ?? '{{{body}}}', {
+      ...layoutVars,
+      body: textBody.trim(),
+    }, { html: false }),
+    html: renderTemplateString(readEmailTemplateFile('layout.html') ?? '{{{body}}}', {
+      ...layoutVars,
+      body: htmlBody,
+    }, { html: true }),
+    locale: loc,
+  };
+}
+
+function pickSupportFromEmail() {
+  const raw = String(SUPPORT_FROM_EMAIL || '').trim();
+  if (!raw) return EMAIL_FALLBACK_FROM_EMAIL;
+
+  // Consumer inbox domains can't be verified by you in Resend.
+  const lowered = raw.toLowerCase();
+  const blockedDomains = [
+    '@gmail.com',
+    '@googlemail.com',
+    '@hotmail.com',
+    '@outlook.com',
+    '@live.com',
+    '@icloud.com',
+    '@me.com',
+    '@yahoo.com',
+    '@proton.me',
+    '@protonmail.com',
+  ];
+  if (blockedDomains.some((d) => lowered.endsWith(d))) return EMAIL_FALLBACK_FROM_EMAIL;
+
+  return raw;
+}
+
+function pickSupportReplyToEmail() {
+  const raw = String(SUPPORT_REPLY_TO_EMAIL || '').trim();
+  if (raw) return raw;
+  return String(SUPPORT_ADMIN_EMAIL || '').trim() || null;
+}
+
+// Transports take { from, to, subject, text, html, replyTo, attachments } and resolve to { id }.
+// Callers use sendEmail, which picks the sender and handles failover.
+async function resendSendEmail({ from, to, subject, text, html, replyTo, attachments }) {
+  requireEnv('RESEND_API_KEY', RESEND_API_KEY);
+  if (!from) throw new Error('Missing sender email (SUPPORT_FROM_EMAIL)');
+
+  const resp = await resendFetch('send_email', 'https://api.resend.com/emails', {
+    method: 'POST',
     headers: {
-      apikey: SUPABASE_SERVICE_ROLE_KEY,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      ...traceHeaders(),
+      Authorization: `Bearer ${RESEND_API_KEY}`,
       'Content-Type': 'application/json',
     },
+    body: JSON.stringify({
+      from,
+      to,
+      subject,
+      text,
+      ...(html ? { html } : {}),
+      ...(replyTo ? { reply_to: replyTo } : {}),
+      ...(attachments?.length
+        ? { attachments: attachments.map((a) => ({ filename: a.filename, content: a.content.toString('base64') })) }
+        : {}),
+    }),
   });
 
+  const textResp = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Resend failed (${resp.status}): ${textResp}`);
+  }
+  try {
+    return { id: JSON.parse(textResp)?.id ?? null };
+  } catch {
+    return { id: null };
+  }
+}
+
+async function resendListDomains() {
+  requireEnv('RESEND_API_KEY', RESEND_API_KEY);
+  const resp = await resendFetch('list_domains', 'https://api.resend.com/domains', {
+    method: 'GET',
+    headers: {
+      ...traceHeaders(),
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+    },
+  });
   const text = await resp.text();
   if (!resp.ok) {
-    throw new Error(`Supabase select ${tableName} failed (${resp.status}): ${text}`);
+    const err = new Error(`Resend domains failed (${resp.status}): ${text}`);
+    err.status = resp.status;
+    throw err;
   }
   try {
-    return text ? JSON.parse(text) : [];
+    return JSON.parse(text)?.data ?? [];
   } catch {
     return [];
   }
 }
 
-async function supabasePatch(tableName, queryString, payload) {
+let nodemailerModule = null;
+let smtpTransporter = null;
+
+async function loadNodemailer() {
+  // Only the smtp and file transports need it; Resend-only deployments never load it.
+  nodemailerModule ??= (await import('nodemailer')).default;
+  return nodemailerModule;
+}
+
+function toMimeMessage({ from, to, subject, text, html, replyTo, attachments }) {
+  return {
+    from,
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {}),
+    ...(replyTo ? { replyTo } : {}),
+    ...(attachments?.length
+      ? { attachments: attachments.map((a) => ({ filename: a.filename, content: a.content, contentType: a.contentType })) }
+      : {}),
+  };
+}
+
+async function getSmtpTransporter() {
+  requireEnv('SMTP_HOST', SMTP_HOST);
+  if (!smtpTransporter) {
+    const nodemailer = await loadNodemailer();
+    smtpTransporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      ...(SMTP_USER ? { auth: { user: SMTP_USER, pass: SMTP_PASS } } : {}),
+    });
+  }
+  return smtpTransporter;
+}
+
+async function smtpSendEmail(message) {
+  const transporter = await getSmtpTransporter();
+  const info = await transporter.sendMail(toMimeMessage(message));
+  return { id: info?.messageId ?? null };
+}
+
+async function fileSendEmail(message) {
+  // Development outbox: <id>.eml (opens in any mail client) plus <id>.json with the parts.
+  const nodemailer = await loadNodemailer();
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const info = await composer.sendMail(toMimeMessage(message));
+
+  const id = `${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
+  await mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+  await writeFile(path.join(EMAIL_OUTBOX_DIR, `${id}.eml`), info.message);
+  await writeFile(
+    path.join(EMAIL_OUTBOX_DIR, `${id}.json`),
+    JSON.stringify(
+      {
+        ...message,
+        attachments: (message.attachments ?? []).map((a) => ({ filename: a.filename, contentType: a.contentType, size: a.size })),
+        requestId: currentRequestId(),
+        createdAt: nowIso(),
+      },
+      null,
+      2
+    )
+  );
+  logger.info('email_written_to_outbox', { id, file: path.join(EMAIL_OUTBOX_DIR, `${id}.eml`) });
+  return { id };
+}
+
+const EMAIL_TRANSPORTS = new Map([
+  ['resend', { id: 'resend', send: resendSendEmail }],
+  ['smtp', { id: 'smtp', send: smtpSendEmail }],
+  ['file', { id: 'file', send: fileSendEmail }],
+]);
+
+for (const name of [EMAIL_TRANSPORT, EMAIL_FAILOVER_TRANSPORT].filter(Boolean)) {
+  if (!EMAIL_TRANSPORTS.has(name)) logger.warn('email_transport_unknown', { transport: name });
+}
+if (EMAIL_TRANSPORT === 'file' && !process.env.EMAIL_TRANSPORT) {
+  // Picked by default: make it visible, since nothing leaves the machine.
+  logger.warn('email_transport_file_default', { dir: EMAIL_OUTBOX_DIR });
+}
+
+async function sendEmail({ to, subject, text, html, replyTo = pickSupportReplyToEmail(), attachments }) {
+  // Resolves to { transport, id }. Throws when the primary (and the failover, if any) fail.
+  const message = { from: pickSupportFromEmail(), to, subject, text, html, replyTo, attachments };
+  const primary = EMAIL_TRANSPORTS.get(EMAIL_TRANSPORT);
+  if (!primary) throw new Error(`Unknown email transport: ${EMAIL_TRANSPORT}`);
+  try {
+    return { transport: primary.id, ...(await primary.send(message)) };
+  } catch (e) {
+    const failover = EMAIL_FAILOVER_TRANSPORT !== primary.id ? EMAIL_TRANSPORTS.get(EMAIL_FAILOVER_TRANSPORT) : null;
+    if (!failover) throw e;
+    logger.warn('email_failover', { primary: primary.id, failover: failover.id, error: String(e?.message || e) });
+    return { transport: failover.id, ...(await failover.send(message)) };
+  }
+}
+
+function sniffMimeType(buf) {
+  // Magic numbers of SUPPORT_ATTACHMENT_TYPES; null for anything else.
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'image/gif';
+  if (buf.length >= 5 && buf.toString('latin1', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+function sanitizeFilename(name) {
+  const clean = String(name || '').replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '').slice(-100);
+  return clean || 'attachment';
+}
+
+// Room for the text fields and multipart boundaries on top of the files.
+const SUPPORT_UPLOAD_MAX_BYTES = Math.min(
+  SUPPORT_ATTACHMENT_MAX_BYTES * SUPPORT_ATTACHMENT_MAX_COUNT + 256 * 1024,
+  process.env.VERCEL ? VERCEL_BODY_MAX_BYTES : Infinity
+);
+
+const supportMultipartParser = express.raw({
+  type: 'multipart/form-data',
+  limit: SUPPORT_UPLOAD_MAX_BYTES,
+});
+
+async function authenticateSupportUpload(req, res, next) {
+  // Runs before parseSupportUpload so an anonymous request never gets its body buffered.
+  // getRequestUser is memoized, so the route handler reuses this lookup.
+  try {
+    if (await getSupportUser(req, res)) return next();
+  } catch (e) {
+    logger.error('support_failed', { error: e });
+    return res.status(500).json({ error: 'support_failed' });
+  }
+}
+
+function parseSupportUpload(req, res, next) {
+  supportMultipartParser(req, res, (err) => {
+    if (!err) return next();
+    if (err.status === 413) return res.status(413).json({ error: 'attachments_too_large' });
+    return res.status(400).json({ error: 'invalid_multipart' });
+  });
+}
+
+async function readSupportInput(req) {
+  // Accepts the original JSON body or multipart/form-data with files.
+  // Returns { subject, message, locale, attachments } or { error, status, file? }.
+  const contentType = String(req.headers?.['content-type'] || '');
+  if (!Buffer.isBuffer(req.body) || !contentType.toLowerCase().startsWith('multipart/form-data')) {
+    const body = req.body ?? {};
+    return {
+      subject: typeof body.subject === 'string' ? body.subject.trim() : '',
+      message: typeof body.message === 'string' ? body.message.trim() : '',
+      locale: typeof body.locale === 'string' ? body.locale.trim() : null,
+      attachments: [],
+    };
+  }
+
+  let form;
+  try {
+    form = await new Response(req.body, { headers: { 'Content-Type': contentType } }).formData();
+  } catch {
+    return { error: 'invalid_multipart', status: 400 };
+  }
+
+  // Browsers send an empty, nameless part for a file input left blank.
+  const files = [...form.values()].filter((v) => typeof v === 'object' && v !== null && (v.size > 0 || v.name));
+  if (files.length > SUPPORT_ATTACHMENT_MAX_COUNT) return { error: 'too_many_attachments', status: 400 };
+
+  const attachments = [];
+  for (const file of files) {
+    const filename = sanitizeFilename(file.name);
+    let declared = String(file.type || '').split(';')[0].trim().toLowerCase();
+    if (declared === 'image/jpg') declared = 'image/jpeg';
+    if (!SUPPORT_ATTACHMENT_TYPES.includes(declared)) {
+      return { error: 'attachment_type_not_allowed', status: 415, file: filename };
+    }
+    if (file.size > SUPPORT_ATTACHMENT_MAX_BYTES) return { error: 'attachment_too_large', status: 413, file: filename };
+    const content = Buffer.from(await file.arrayBuffer());
+    if (sniffMimeType(content) !== declared) return { error: 'attachment_type_mismatch', status: 415, file: filename };
+    attachments.push({ filename, contentType: declared, size: content.length, content });
+  }
+
+  const field = (key) => {
+    const v = form.get(key);
+    return typeof v === 'string' ? v.trim() : '';
+  };
+  return { subject: field('subject'), message: field('message'), locale: field('locale') || null, attachments };
+}
+
+async function supabaseStorageUpload(bucket, objectPath, content, contentType) {
+  requireEnv('SUPABASE_URL', SUPABASE_URL);
+  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+
+  const objectUrl = `${SUPABASE_URL}/storage/v1/object/${encodeURIComponent(bucket)}/${objectPath
+    .split('/')
+    .map(encodeURIComponent)
+    .join('/')}`;
+  const resp = await supabaseFetch('storage_upload', bucket, objectUrl, {
+    method: 'POST',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': contentType,
+      'x-upsert': 'false',
+    },
+    body: content,
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Supabase storage upload ${bucket} failed (${resp.status}): ${text}`);
+  }
+  return objectUrl;
+}
+
+async function storeSupportAttachments({ userId, ticketId, attachments }) {
+  // Best-effort: a storage failure leaves url null, the file still goes out with the admin email.
+  const stored = [];
+  for (const [i, a] of attachments.entries()) {
+    let url = null;
+    if (SUPPORT_ATTACHMENTS_BUCKET) {
+      try {
+        url = await supabaseStorageUpload(
+          SUPPORT_ATTACHMENTS_BUCKET,
+          `${userId}/${ticketId}/${i + 1}-${a.filename}`,
+          a.content,
+          a.contentType
+        );
+      } catch (e) {
+        logger.warn('support_attachment_upload_failed', { ticketId, file: a.filename, error: String(e?.message || e) });
+      }
+    }
+    stored.push({ filename: a.filename, content_type: a.contentType, size: a.size, url });
+  }
+  return stored;
+}
+
+function isSupportBlocked(user) {
+  const id = String(user?.id || '').toLowerCase();
+  const domain = String(user?.email || '').toLowerCase().split('@')[1] || '';
+  return SUPPORT_BLOCKLIST.some((entry) => entry === id || entry === domain);
+}
+
+function supportSpamReason(text) {
+  const links = text.match(/\bhttps?:\/\/|\bwww\./gi)?.length ?? 0;
+  if (links > SUPPORT_MAX_LINKS) return 'too_many_links';
+  // Whitespace and the usual separator characters (----, ====) don't count.
+  const repeated = new RegExp(`([^\\s\\-=_*#.])\\1{${Math.max(SUPPORT_MAX_REPEATED_CHARS - 1, 1)},}`, 'u');
+  if (repeated.test(text)) return 'repeated_characters';
+  return null;
+}
+
+function normalizeSupportMessage(message) {
+  return String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+async function checkSupportAbuse({ user, subject = '', message, kind }) {
+  // Returns null when the request may go through, else { status, error, reason, record, extra }.
+  // `record: true` rejections go to support_blocked_attempts; plain length errors don't.
+  if (isSupportBlocked(user)) return { status: 403, error: 'support_blocked', reason: 'blocklist', record: true };
+  if (subject.length > SUPPORT_SUBJECT_MAX_LENGTH) {
+    return { status: 400, error: 'subject_too_long', extra: { maxLength: SUPPORT_SUBJECT_MAX_LENGTH } };
+  }
+  if (message.length > SUPPORT_MESSAGE_MAX_LENGTH) {
+    return { status: 400, error: 'message_too_long', extra: { maxLength: SUPPORT_MESSAGE_MAX_LENGTH } };
+  }
+  const spam = supportSpamReason(`${subject}\n${message}`);
+  if (spam) return { status: 422, error: 'message_looks_like_spam', reason: spam, record: true, extra: { reason: spam } };
+
+  // Tickets are counted in support_tickets, follow-ups in the user's own support_ticket_messages.
+  const isTicket = kind === 'ticket';
+  const now = Date.now();
+  let rows;
+  try {
+    const qs = new URLSearchParams({
+      select: isTicket ? 'id,message,created_at' : 'id,ticket_id,message,created_at',
+      ...(isTicket ? { user_id: `eq.${user.id}` } : { author: 'eq.user', author_id: `eq.${user.id}` }),
+      created_at: `gte.${new Date(now - Math.max(DAY_MS, SUPPORT_DUPLICATE_WINDOW_MS)).toISOString()}`,
+      order: 'created_at.desc',
+      limit: '200',
+    });
+    rows = await supabaseSelect(isTicket ? 'support_tickets' : 'support_ticket_messages', qs.toString());
+  } catch (e) {
+    // Fail-open, like the rate limiter: the other checks still ran.
+    logger.warn('support_quota_lookup_failed', { error: String(e?.message || e) });
+    return null;
+  }
+  const recent = (Array.isArray(rows) ? rows : []).map((r) => ({ ...r, age: now - Date.parse(r.created_at) }));
+
+  const normalized = normalizeSupportMessage(message);
+  const duplicate = recent.find((r) => r.age <= SUPPORT_DUPLICATE_WINDOW_MS && normalizeSupportMessage(r.message) === normalized);
+  if (duplicate) {
+    const ticketId = isTicket ? duplicate.id : duplicate.ticket_id;
+    return { status: 409, error: 'duplicate_message', reason: 'duplicate', record: true, extra: { ticketId } };
+  }
+
+  for (const [quota, windowMs, limit] of [
+    ['hourly', 60 * 60 * 1000, isTicket ? SUPPORT_TICKETS_PER_HOUR : SUPPORT_MESSAGES_PER_HOUR],
+    ['daily', DAY_MS, isTicket ? SUPPORT_TICKETS_PER_DAY : SUPPORT_MESSAGES_PER_DAY],
+  ]) {
+    const inWindow = recent.filter((r) => r.age <= windowMs);
+    if (inWindow.length < limit) continue;
+    // Rows are newest first: a slot frees up when the oldest one counted leaves the window.
+    const retryAfter = Math.max(Math.ceil((windowMs - inWindow[inWindow.length - 1].age) / 1000), 1);
+    return { status: 429, error: 'support_quota_exceeded', reason: `quota_${quota}`, record: true, extra: { quota, retryAfter } };
+  }
+  return null;
+}
+
+async function rejectSupportRequest(req, res, { user, kind, subject = null, message, rejection }) {
+  logger.warn('support_rejected', { kind, error: rejection.error, reason: rejection.reason ?? null });
+  incCounter(metrics.supportRejected, { kind, error: rejection.error });
+  if (rejection.record) {
+    // Best-effort: the admin listing reads these; the rejection stands either way.
+    try {
+      await supabaseInsert('support_blocked_attempts', {
+        user_id: user?.id ?? null,
+        user_email: user?.email ?? null,
+        kind,
+        error: rejection.error,
+        reason: rejection.reason ?? null,
+        ip: clientIp(req),
+        subject: subject ? subject.slice(0, 200) : null,
+        message: String(message || '').slice(0, 1000),
+        created_at: nowIso(),
+      });
+    } catch (e) {
+      logger.warn('support_rejection_record_failed', { error: String(e?.message || e) });
+    }
+  }
+  if (rejection.extra?.retryAfter) res.setHeader('Retry-After', String(rejection.extra.retryAfter));
+  return res.status(rejection.status).json({ error: rejection.error, ...rejection.extra });
+}
+
+app.post('/api/infinitepay/support', authenticateSupportUpload, parseSupportUpload, async (req, res) => {
+  try {
+    const user = await getSupportUser(req, res);
+    if (!user) return;
+    const userId = user.id;
+    const userEmail = user.email;
+
+    const input = await readSupportInput(req);
+    if (input.error) {
+      return res.status(input.status).json({ error: input.error, ...(input.file ? { file: input.file } : {}) });
+    }
+    const subjectIn = input.subject;
+    const messageIn = input.message;
+    const localeIn = input.locale;
+
+    if (!messageIn || messageIn.length < 10) {
+      return res.status(400).json({ error: 'invalid_message' });
+    }
+
+    const rejection = await checkSupportAbuse({ user, subject: subjectIn, message: messageIn, kind: 'ticket' });
+    if (rejection) {
+      return rejectSupportRequest(req, res, { user, kind: 'ticket', subject: subjectIn, message: messageIn, rejection });
+    }
+
+    const ticketId = `s_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
+
+    // Stored first: if an email fails below, the ticket still exists and shows up in the user's history.
+    const createdAt = nowIso();
+    await supabaseInsert('support_tickets', {
+      id: ticketId,
+      user_id: userId,
+      user_email: userEmail,
+      subject: subjectIn || null,
+      message: messageIn,
+      locale: localeIn,
+      status: 'open',
+      created_at: createdAt,
+      updated_at: createdAt,
+    });
+    incCounter(metrics.supportTickets);
+
+    // Uploaded only once the ticket exists, so a failed insert leaves no orphaned files in Storage.
+    const storedAttachments = input.attachments.length
+      ? await storeSupportAttachments({ userId, ticketId, attachments: input.attachments })
+      : [];
+    if (storedAttachments.length) {
+      try {
+        const ticketQs = new URLSearchParams({ id: `eq.${ticketId}` });
+        await supabasePatch('support_tickets', ticketQs.toString(), { attachments: storedAttachments });
+      } catch (e) {
+        // The files still go out with the admin email below.
+        logger.warn('support_attachments_record_failed', { ticketId, error: String(e?.message || e) });
+      }
+    }
+
+    try {
+      // Staff emails are always in the default locale; the acknowledgement follows the user's.
+      const adminEmail = renderEmail('support-admin', EMAIL_DEFAULT_LOCALE, {
+        ticketId,
+        userId,
+        userEmail,
+        userSubject: subjectIn,
+        locale: localeIn,
+        attachments: storedAttachments
+          .map((a) => `${a.filename} (${a.content_type}, ${a.size} bytes)${a.url ? ` ${a.url}` : ''}`)
+          .join('\n'),
+        message: messageIn,
+      });
+      const ackEmail = renderEmail('support-ack', localeIn, { ticketId });
+
+      await sendEmail({
+        to: SUPPORT_ADMIN_EMAIL,
+        subject: adminEmail.subject,
+        text: adminEmail.text,
+        html: adminEmail.html,
+        replyTo: userEmail,
+        attachments: input.attachments,
+      });
+
+      await sendEmail({
+        to: userEmail,
+        subject: ackEmail.subject,
+        text: ackEmail.text,
+        html: ackEmail.html,
+      });
+    } catch (e) {
+      logger.error('support_email_failed', { ticketId, error: e });
+      await markTicketNotificationFailed(ticketId, e);
+      return res.status(200).json({ ok: true, ticketId, attachments: storedAttachments.length, notified: false });
+    }
+
+    return res.status(200).json({ ok: true, ticketId, attachments: storedAttachments.length, notified: true });
+  } catch (e) {
+    logger.error('support_failed', { error: e });
+    const msg = String(e?.message || 'support_failed').slice(0, 220);
+    return res.status(500).json({ error: 'support_failed', message: msg });
+  }
+});
+
+// open: waiting on support; answered: waiting on the user; closed: no more follow-ups.
+const SUPPORT_TICKET_STATUSES = ['open', 'answered', 'closed'];
+const SUPPORT_TICKET_COLUMNS = 'id,subject,message,locale,status,attachments,created_at,updated_at';
+
+function isValidTicketId(ticketId) {
+  return /^s_\d{10,16}_[0-9a-f]{1,16}$/.test(ticketId);
+}
+
+async function fetchUserTicket(userId, ticketId) {
+  // Scoped to the owner, like fetchUserIntent.
+  const qs = new URLSearchParams({
+    select: SUPPORT_TICKET_COLUMNS,
+    id: `eq.${ticketId}`,
+    user_id: `eq.${userId}`,
+    limit: '1',
+  });
+  const rows = await supabaseSelect('support_tickets', qs.toString());
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+async function markTicketNotificationFailed(ticketId, err) {
+  try {
+    const qs = new URLSearchParams({ id: `eq.${ticketId}`, select: 'id' });
+    await supabasePatch('support_tickets', qs.toString(), {
+      notification_error: String(err?.message || err).slice(0, 500),
+    });
+  } catch (e) {
+    logger.warn('support_ticket_mark_failed', { ticketId, error: String(e?.message || e) });
+  }
+}
+
+async function getSupportUser(req, res) {
+  // Shared auth preamble of the ticket routes; answers the request itself when it returns null.
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    res.status(500).json({ error: 'missing_supabase_env' });
+    return null;
+  }
+  if (!extractBearerToken(req)) {
+    res.status(401).json({ error: 'missing_bearer_token' });
+    return null;
+  }
+  const user = await getRequestUser(req);
+  if (!user?.id || !user?.email) {
+    res.status(401).json({ error: 'invalid_session' });
+    return null;
+  }
+  return user;
+}
+
+app.get('/api/infinitepay/support', async (req, res) => {
+  try {
+    const user = await getSupportUser(req, res);
+    if (!user) return;
+
+    const limit = Math.min(Math.max(Math.round(safeNumber(req.query?.limit) ?? 50), 1), 100);
+    const qs = new URLSearchParams({
+      select: 'id,subject,locale,status,created_at,updated_at',
+      user_id: `eq.${user.id}`,
+      order: 'created_at.desc',
+      limit: String(limit),
+    });
+    const rows = await supabaseSelect('support_tickets', qs.toString());
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, tickets: Array.isArray(rows) ? rows : [] });
+  } catch (e) {
+    logger.error('support_list_failed', { error: e });
+    return res.status(500).json({ error: 'support_list_failed' });
+  }
+});
+
+app.get('/api/infinitepay/support/:ticketId', async (req, res) => {
+  try {
+    const user = await getSupportUser(req, res);
+    if (!user) return;
+
+    const ticketId = String(req.params?.ticketId || '').trim();
+    if (!isValidTicketId(ticketId)) return res.status(400).json({ error: 'invalid_ticket_id' });
+
+    const ticket = await fetchUserTicket(user.id, ticketId);
+    if (!ticket) return res.status(404).json({ error: 'ticket_not_found' });
+
+    const qs = new URLSearchParams({
+      select: 'id,author,message,created_at',
+      ticket_id: `eq.${ticketId}`,
+      order: 'created_at.asc',
+    });
+    const messages = await supabaseSelect('support_ticket_messages', qs.toString());
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, ticket, messages: Array.isArray(messages) ? messages : [] });
+  } catch (e) {
+    logger.error('support_ticket_failed', { error: e });
+    return res.status(500).json({ error: 'support_ticket_failed' });
+  }
+});
+
+app.post('/api/infinitepay/support/:ticketId/messages', async (req, res) => {
+  try {
+    const user = await getSupportUser(req, res);
+    if (!user) return;
+
+    const ticketId = String(req.params?.ticketId || '').trim();
+    if (!isValidTicketId(ticketId)) return res.status(400).json({ error: 'invalid_ticket_id' });
+
+    const messageIn = typeof req?.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!messageIn) return res.status(400).json({ error: 'invalid_message' });
+
+    // Ownership first: messages to someone else's (or no) ticket neither count against quotas nor get recorded.
+    const ticket = await fetchUserTicket(user.id, ticketId);
+    if (!ticket) return res.status(404).json({ error: 'ticket_not_found' });
+    if (ticket.status === 'closed') return res.status(409).json({ error: 'ticket_closed' });
+
+    const rejection = await checkSupportAbuse({ user, message: messageIn, kind: 'message' });
+    if (rejection) return rejectSupportRequest(req, res, { user, kind: 'message', message: messageIn, rejection });
+
+    const createdAt = nowIso();
+    await supabaseInsert('support_ticket_messages', {
+      ticket_id: ticketId,
+      author: 'user',
+      author_id: user.id,
+      message: messageIn,
+      created_at: createdAt,
+    });
+    // A reply from the user puts the ticket back in support's queue.
+    const ticketQs = new URLSearchParams({ id: `eq.${ticketId}`, select: 'id' });
+    await supabasePatch('support_tickets', ticketQs.toString(), { status: 'open', updated_at: createdAt });
+
+    let notified = true;
+    try {
+      const email = renderEmail('support-followup-admin', EMAIL_DEFAULT_LOCALE, {
+        ticketId,
+        userId: user.id,
+        userEmail: user.email,
+        message: messageIn,
+      });
+      await sendEmail({
+        to: SUPPORT_ADMIN_EMAIL,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        replyTo: user.email,
+      });
+    } catch (e) {
+      notified = false;
+      logger.error('support_email_failed', { ticketId, error: e });
+      await markTicketNotificationFailed(ticketId, e);
+    }
+
+    return res.status(200).json({ ok: true, ticketId, status: 'open', notified });
+  } catch (e) {
+    logger.error('support_followup_failed', { error: e });
+    return res.status(500).json({ error: 'support_followup_failed' });
+  }
+});
+
+async function supabaseSelect(tableName, queryString) {
+  requireEnv('SUPABASE_URL', SUPABASE_URL);
+  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+
+  const resp = await supabaseFetch('select', tableName, `${SUPABASE_URL}/rest/v1/${tableName}?${queryString}`, {
+    method: 'GET',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Supabase select ${tableName} failed (${resp.status}): ${text}`);
+  }
+  try {
+    return text ? JSON.parse(text) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function supabaseDelete(tableName, queryString) {
   requireEnv('SUPABASE_URL', SUPABASE_URL);
   requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
 
-  const resp = await fetch(`${SUPABASE_URL}/rest/v1/${tableName}?${queryString}`, {
-    method: 'PATCH',
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE_KEY,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      'Content-Type': 'application/json',
-      Prefer: 'return=representation',
-    },
-    body: JSON.stringify(payload ?? {}),
+  const resp = await supabaseFetch('delete', tableName, `${SUPABASE_URL}/rest/v1/${tableName}?${queryString}`, {
+    method: 'DELETE',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': 'application/json',
+      Prefer: 'return=minimal',
+    },
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Supabase delete ${tableName} failed (${resp.status}): ${text}`);
+  }
+  return null;
+}
+
+async function supabasePatch(tableName, queryString, payload) {
+  requireEnv('SUPABASE_URL', SUPABASE_URL);
+  requireEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+
+  const resp = await supabaseFetch('patch', tableName, `${SUPABASE_URL}/rest/v1/${tableName}?${queryString}`, {
+    method: 'PATCH',
+    headers: {
+      ...traceHeaders(),
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': 'application/json',
+      Prefer: 'return=representation',
+    },
+    body: JSON.stringify(payload ?? {}),
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`Supabase patch ${tableName} failed (${resp.status}): ${text}`);
+  }
+  try {
+    return text ? JSON.parse(text) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Last time logWebhookEvent had to drop columns to get a row in; /health/ready reports it.
+let webhookEventSchemaDrift = null;
+
+async function logWebhookEvent(eventRow) {
+  incCounter(metrics.webhookEvents, {
+    provider: eventRow?.provider ?? 'unknown',
+    outcome: eventRow?.outcome ?? 'unknown',
+    reason: metricReason(eventRow?.outcome_reason),
+  });
+  try {
+    // Optional: only works if the table exists in Supabase.
+    await supabaseInsert('payment_webhook_events', eventRow);
+  } catch (e) {
+    // If table exists but a column is missing (schema drift), retry with a minimal payload.
+    const msg = String(e?.message || e);
+    const looksLikeUnknownColumn = msg.includes('Could not find the') || msg.includes('column') || msg.includes('PGRST');
+    if (looksLikeUnknownColumn) {
+      try {
+        const {
+          provider,
+          received_at,
+          event_name,
+          status,
+          approved,
+          provider_payment_id,
+          reference,
+          amount_cents,
+          payer_email,
+          user_id,
+          days,
+          outcome,
+          outcome_reason,
+        } = eventRow || {};
+
+        await supabaseInsert('payment_webhook_events', {
+          provider,
+          received_at,
+          event_name,
+          status,
+          approved,
+          provider_payment_id,
+          reference,
+          amount_cents,
+          payer_email,
+          user_id,
+          days,
+          outcome,
+          outcome_reason,
+        });
+        webhookEventSchemaDrift = { at: nowIso(), error: msg.slice(0, 300) };
+        logger.warn('webhook_event_schema_drift', { error: msg });
+        return;
+      } catch {
+        // fallthrough
+      }
+    }
+
+    // Never break webhook processing because of logging.
+    logger.warn('webhook_event_log_failed', { error: msg });
+  }
+}
+
+function sanitizeWebhookEvent(evt, extracted = null) {
+  try {
+    const data = evt?.data ?? null;
+    const { values, paths } = extracted ?? extractPayloadFields(evt);
+    return {
+      hasData: Boolean(data),
+      event: values.eventName,
+      topLevelKeys: Object.keys(evt || {}).slice(0, 50),
+      dataKeys: data && typeof data === 'object' ? Object.keys(data).slice(0, 80) : null,
+      // Which path each field came from, to spot payload changes.
+      found: paths,
+      data: {
+        ...values,
+        approved:
+          data?.approved ??
+          data?.is_approved ??
+          data?.isApproved ??
+          evt?.approved ??
+          evt?.is_approved ??
+          evt?.isApproved ??
+          null,
+        paid:
+          data?.paid ??
+          data?.is_paid ??
+          data?.isPaid ??
+          evt?.paid ??
+          evt?.is_paid ??
+          evt?.isPaid ??
+          null,
+        paidAmount: data?.paid_amount ?? data?.paidAmount ?? evt?.paid_amount ?? evt?.paidAmount ?? null,
+      },
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function applyCredits({ provider, userId, days, amountCents, providerPaymentId, rawEvent }) {
+  await supabaseRpc('service_apply_payment_credits', {
+    p_user_id: userId,
+    p_days: days,
+    p_amount_cents: amountCents ?? 0,
+    p_description: `${provider}_webhook`,
+    p_provider: provider,
+    p_provider_payment_id: providerPaymentId ?? null,
+    p_raw_event: rawEvent ?? null,
+  });
+}
+
+function formatMoney(amountCents, currency, locale) {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amountCents / 100);
+  } catch {
+    return `${(amountCents / 100).toFixed(2)} ${currency}`;
+  }
+}
+
+function formatDate(iso, locale) {
+  const date = iso ? new Date(iso) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: EMAIL_TIME_ZONE }).format(date);
+  } catch {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+async function findPlanForPayment({ amountCents, days }) {
+  // The plan sold at this price, or (for offset amounts) the plan granting these days.
+  const plans = await loadPlanCatalog();
+  const byDays = plans.filter((p) => p.days === days);
+  return (
+    byDays.find((p) => p.amountCents === amountCents) ??
+    byDays.find((p) => p.active) ??
+    byDays[0] ??
+    (await findPlanByAmount(amountCents))
+  );
+}
+
+async function findRenewalPlan({ planId = null, amountCents = null, days = null }) {
+  // The plan to renew, or the active plan with the same days when that one is no longer sold.
+  const plan = (await findPlanById(planId)) ?? (days ? await findPlanForPayment({ amountCents, days }) : null);
+  if (!plan || plan.active) return plan;
+  const plans = await loadPlanCatalog();
+  return plans.find((p) => p.active && p.days === plan.days) ?? null;
+}
+
+// Failed receipts are retried by /jobs/retry (see retryFailedReceipts) up to this many sends in total.
+const RECEIPT_MAX_ATTEMPTS = Number(process.env.RECEIPT_MAX_ATTEMPTS || 5);
+// A `sending` row is reclaimed by the retry job once this has passed (the instance died or was frozen mid-send).
+const RECEIPT_SENDING_LEASE_MS = 15 * 60 * 1000;
+// The webhook answers the provider after at most this long; a slower receipt carries on in the background.
+const RECEIPT_WEBHOOK_WAIT_MS = Number(process.env.RECEIPT_WEBHOOK_WAIT_MS || 3000);
+
+async function sendPaymentReceipt({ provider, providerPaymentId, userId, days, amountCents, payerEmail = null, traceId = null }) {
+  // Receipt to the account email (and the payer email when different) after credits are applied.
+  // The payment_receipts primary key makes it at most once per payment. Never throws: returns
+  // 'sent' | 'duplicate' | 'skipped' | 'failed' and the webhook outcome stays whatever it was.
+  try {
+    try {
+      await supabaseInsert('payment_receipts', {
+        provider,
+        provider_payment_id: providerPaymentId,
+        user_id: userId,
+        days,
+        amount_cents: amountCents ?? 0,
+        payer_email: payerEmail,
+        trace_id: traceId,
+        status: 'sending',
+        attempts: 1,
+        next_attempt_at: new Date(Date.now() + RECEIPT_SENDING_LEASE_MS).toISOString(),
+        created_at: nowIso(),
+      });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (msg.includes('(409)') || msg.includes('23505')) return 'duplicate';
+      throw e;
+    }
+    return await deliverPaymentReceipt({ provider, providerPaymentId, userId, days, amountCents, payerEmail, traceId, attempts: 1 });
+  } catch (e) {
+    logger.warn('payment_receipt_failed', { providerPaymentId, error: String(e?.message || e) });
+    return 'failed';
+  }
+}
+
+async function sendPaymentReceiptWithin(waitMs, receipt) {
+  // sendPaymentReceipt, but gives up waiting after waitMs ('pending'). If the send never finishes, the
+  // row stays `sending` and the retry job reclaims it.
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve('pending'), waitMs);
+  });
+  try {
+    return await Promise.race([sendPaymentReceipt(receipt), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function deliverPaymentReceipt({ provider, providerPaymentId, userId, days, amountCents, payerEmail, traceId, attempts }) {
+  // Sends the receipt for a claimed payment_receipts row. Returns 'sent' | 'skipped'; on failure the row
+  // becomes `failed` with its next_attempt_at (none after RECEIPT_MAX_ATTEMPTS) and the error is rethrown.
+  const rowQs = new URLSearchParams({
+    provider: `eq.${provider}`,
+    provider_payment_id: `eq.${providerPaymentId}`,
+  }).toString();
+  try {
+    const user = await supabaseAuthGetUserById(userId);
+    const recipients = [];
+    for (const email of [user?.email, payerEmail]) {
+      const clean = String(email || '').trim();
+      if (clean.includes('@') && !recipients.some((r) => r.toLowerCase() === clean.toLowerCase())) recipients.push(clean);
+    }
+    if (!recipients.length) {
+      await supabasePatch('payment_receipts', rowQs, { status: 'skipped', last_error: 'no_recipient' });
+      return 'skipped';
+    }
+
+    const locale = resolveEmailLocale('payment-receipt', user?.user_metadata?.locale ?? null);
+    const lang = String(locale || EMAIL_DEFAULT_LOCALE).split('-')[0];
+    const plan = await findPlanForPayment({ amountCents, days });
+    const email = renderEmail('payment-receipt', locale, {
+      planName: plan?.names?.[lang] ?? plan?.names?.en ?? plan?.id ?? `${days}d`,
+      amount: formatMoney(amountCents ?? 0, plan?.currency ?? 'BRL', locale),
+      days,
+      premiumUntil: formatDate(await getPremiumExpiry(userId), locale),
+      providerPaymentId,
+      traceId,
+    });
+
+    await sendEmail({
+      to: recipients,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+    await supabasePatch('payment_receipts', rowQs, {
+      status: 'sent',
+      sent_to: recipients.join(','),
+      sent_at: nowIso(),
+      last_error: null,
+    });
+    return 'sent';
+  } catch (e) {
+    // The row stays claimed, so a redelivery never emails twice; only the retry job sends it again.
+    await supabasePatch('payment_receipts', rowQs, {
+      status: 'failed',
+      attempts,
+      next_attempt_at: attempts < RECEIPT_MAX_ATTEMPTS ? new Date(Date.now() + outboxBackoffMs(attempts)).toISOString() : null,
+      last_error: String(e?.message || e).slice(0, 500),
+    }).catch(() => {});
+    throw e;
+  }
+}
+
+async function retryFailedReceipts(limit) {
+  // Failed rows whose backoff has passed, and `sending` rows whose lease has.
+  const qs = new URLSearchParams({
+    select: 'provider,provider_payment_id,user_id,days,amount_cents,payer_email,trace_id,status,attempts',
+    status: 'in.(failed,sending)',
+    next_attempt_at: `lte.${nowIso()}`,
+    attempts: `lt.${RECEIPT_MAX_ATTEMPTS}`,
+    days: 'not.is.null',
+    order: 'next_attempt_at.asc',
+    limit: String(limit),
+  });
+  const rows = await supabaseSelect('payment_receipts', qs.toString());
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  for (const row of Array.isArray(rows) ? rows : []) {
+    // Same claim as the outbox: another run that got here first changed status or attempts.
+    const claimQs = new URLSearchParams({
+      provider: `eq.${row.provider}`,
+      provider_payment_id: `eq.${row.provider_payment_id}`,
+      status: `eq.${row.status}`,
+      attempts: `eq.${row.attempts}`,
+      select: 'provider_payment_id',
+    });
+    const attempts = Number(row.attempts || 0) + 1;
+    const claimed = await supabasePatch('payment_receipts', claimQs.toString(), {
+      status: 'sending',
+      attempts,
+      next_attempt_at: new Date(Date.now() + RECEIPT_SENDING_LEASE_MS).toISOString(),
+    });
+    if (!Array.isArray(claimed) || claimed.length !== 1) continue;
+    try {
+      counts[
+        await deliverPaymentReceipt({
+          provider: row.provider,
+          providerPaymentId: row.provider_payment_id,
+          userId: row.user_id,
+          days: row.days,
+          amountCents: row.amount_cents ?? 0,
+          payerEmail: row.payer_email ?? null,
+          traceId: row.trace_id ?? null,
+          attempts,
+        })
+      ] += 1;
+    } catch (e) {
+      counts.failed += 1;
+      logger.warn('payment_receipt_retry_failed', { providerPaymentId: row.provider_payment_id, attempts, error: String(e?.message || e) });
+    }
+  }
+  return counts;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function fetchLastAppliedIntent(userId) {
+  const qs = new URLSearchParams({
+    select: 'provider,plan_id,days,amount_cents,base_amount_cents',
+    user_id: `eq.${userId}`,
+    status: 'eq.applied',
+    order: 'created_at.desc',
+    limit: '1',
+  });
+  const rows = await supabaseSelect('payment_intents', qs.toString());
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+function renewalPageUrl({ provider, token }) {
+  const sep = RENEWAL_REDIRECT_URL.includes('?') ? '&' : '?';
+  return `${RENEWAL_REDIRECT_URL}${sep}${new URLSearchParams({ provider, token }).toString()}`;
+}
+
+async function sendPremiumReminder({ userId, premiumUntil, daysBefore, now = Date.now() }) {
+  // One email per (user, premium_until, days_before): a renewal moves premium_until and starts a new
+  // series. Never throws: returns 'sent' | 'already_sent' | 'opted_out' | 'skipped' | 'failed'.
+  const rowQs = new URLSearchParams({
+    user_id: `eq.${userId}`,
+    premium_until: `eq.${premiumUntil}`,
+    days_before: `eq.${daysBefore}`,
+  }).toString();
+  try {
+    try {
+      await supabaseInsert('premium_reminders', {
+        user_id: userId,
+        premium_until: premiumUntil,
+        days_before: daysBefore,
+        status: 'sending',
+        created_at: nowIso(),
+      });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (msg.includes('(409)') || msg.includes('23505')) return 'already_sent';
+      throw e;
+    }
+
+    try {
+      const user = await supabaseAuthGetUserById(userId);
+      if (toBoolOrNull(user?.user_metadata?.premium_reminders_opt_out) === true) {
+        await supabasePatch('premium_reminders', rowQs, { status: 'opted_out' });
+        return 'opted_out';
+      }
+      const to = String(user?.email || '').trim();
+      if (!to.includes('@')) {
+        await supabasePatch('premium_reminders', rowQs, { status: 'skipped', last_error: 'no_recipient' });
+        return 'skipped';
+      }
+
+      const last = await fetchLastAppliedIntent(userId);
+      const plan = await findRenewalPlan({
+        planId: last?.plan_id ?? null,
+        amountCents: last?.base_amount_cents ?? last?.amount_cents ?? null,
+        days: last?.days ?? null,
+      });
+      const token = plan
+        ? signRenewalToken({ userId, planId: plan.id, expiresAt: Date.now() + RENEWAL_LINK_TTL_SECONDS * 1000 })
+        : null;
+      const provider = getPaymentProvider(last?.provider)?.id ?? DEFAULT_PAYMENT_PROVIDER;
+
+      const locale = resolveEmailLocale('premium-reminder', user?.user_metadata?.locale ?? null);
+      const lang = String(locale || EMAIL_DEFAULT_LOCALE).split('-')[0];
+      const daysLeft = Math.max(Math.ceil((Date.parse(premiumUntil) - now) / DAY_MS), 1);
+      const email = renderEmail('premium-reminder', locale, {
+        planName: plan ? plan.names?.[lang] ?? plan.names?.en ?? plan.id : null,
+        amount: plan ? formatMoney(plan.amountCents, plan.currency, locale) : null,
+        daysLeft,
+        oneDay: daysLeft === 1,
+        premiumUntil: formatDate(premiumUntil, locale),
+        // Without a plan (or a signing secret) the link just opens the plan picker.
+        renewUrl: token ? renewalPageUrl({ provider, token }) : RENEWAL_REDIRECT_URL,
+      });
+
+      await sendEmail({
+        to: [to],
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+      });
+      await supabasePatch('premium_reminders', rowQs, { status: 'sent', sent_to: to, sent_at: nowIso() });
+      return 'sent';
+    } catch (e) {
+      // Unlike receipts, drop the claim so the next run retries this reminder.
+      await supabaseDelete('premium_reminders', rowQs).catch(() => {});
+      throw e;
+    }
+  } catch (e) {
+    logger.warn('premium_reminder_failed', { userId, daysBefore, error: String(e?.message || e) });
+    return 'failed';
+  }
+}
+
+async function reverseCredits({ provider, userId, days, amountCents, providerPaymentId, reversalId, kind, rawEvent }) {
+  // Counterpart of service_apply_payment_credits. Must be idempotent per p_reversal_id.
+  await supabaseRpc('service_reverse_payment_credits', {
+    p_user_id: userId,
+    p_days: days,
+    p_amount_cents: amountCents ?? 0,
+    p_description: `${provider}_${kind}`,
+    p_provider: provider,
+    p_provider_payment_id: providerPaymentId,
+    p_reversal_id: reversalId,
+    p_raw_event: rawEvent ?? null,
+  });
+}
+
+async function findAppliedPayment({ provider, providerPaymentId, aliases = [] }) {
+  // Uses the webhook log as the source of truth for what was granted for a payment. Payments applied
+  // before deploys that changed how the id is derived are logged under an alias; `providerPaymentId`
+  // in the result is the id the grant was logged under.
+  for (const id of [providerPaymentId, ...aliases]) {
+    if (!id) continue;
+    const qs = new URLSearchParams({
+      select: 'user_id,days,amount_cents',
+      provider: `eq.${provider}`,
+      provider_payment_id: `eq.${id}`,
+      outcome: 'eq.applied',
+      order: 'received_at.desc',
+      limit: '1',
+    });
+    const rows = await supabaseSelect('payment_webhook_events', qs.toString());
+    const row = Array.isArray(rows) ? rows[0] : null;
+    if (!row?.user_id || !(Number(row?.days) > 0)) continue;
+    return { userId: row.user_id, days: Number(row.days), amountCents: safeNumber(row.amount_cents), providerPaymentId: id };
+  }
+  return null;
+}
+
+async function isPaymentApplied({ provider, providerPaymentId, aliases = [] }) {
+  return Boolean(await findAppliedPayment({ provider, providerPaymentId, aliases }));
+}
+
+// outcome_reason of logged reversals: "<kind>: <reversal id>", with kind refund/chargeback, partial_<kind>,
+// or <kind>_before_apply (taken off a queued outbox row, logged as ignored). Older rows: just "<kind>".
+const REVERSAL_REASON_REGEX = /^(?:partial_)?(?:refund|chargeback)(?:_before_apply)?: (.+)$/;
+
+async function findPaymentReversals({ provider, providerPaymentId }) {
+  // Reversals already logged for a payment: the days taken back and the reversal ids seen.
+  const qs = new URLSearchParams({
+    select: 'days,outcome,outcome_reason',
+    provider: `eq.${provider}`,
+    provider_payment_id: `eq.${providerPaymentId}`,
+    outcome: 'in.(reversed,ignored)',
+  });
+  const rows = await supabaseSelect('payment_webhook_events', qs.toString());
+  const list = Array.isArray(rows) ? rows : [];
+  return {
+    days: list
+      .filter((r) => r?.outcome === 'reversed')
+      .reduce((sum, r) => sum + (Number(r?.days) > 0 ? Number(r.days) : 0), 0),
+    reversalIds: new Set(list.map((r) => String(r?.outcome_reason ?? '').match(REVERSAL_REASON_REGEX)?.[1]).filter(Boolean)),
+  };
+}
+
+async function reduceQueuedCredits({ provider, providerPaymentId, refundedCents }) {
+  // A refund for a payment still waiting in the outbox: the days come off the queued row (cancelled when
+  // none are left) so the retry job never grants them. Callers hold the payment's webhook lock, which
+  // processOutboxRow takes too. Returns { userId, days, remainingDays, amountCents, intentId } or null.
+  const qs = new URLSearchParams({
+    select: 'id,user_id,days,amount_cents,intent_id,attempts',
+    provider: `eq.${provider}`,
+    provider_payment_id: `eq.${providerPaymentId}`,
+    status: 'eq.pending',
+    limit: '1',
+  });
+  const rows = await supabaseSelect('payment_outbox', qs.toString());
+  const row = Array.isArray(rows) ? rows[0] : null;
+  if (!row) return null;
+
+  const queuedDays = Number(row.days) > 0 ? Number(row.days) : 0;
+  const queuedCents = safeNumber(row.amount_cents) ?? 0;
+  const days = Math.min(reversalDays({ appliedDays: queuedDays, appliedAmountCents: queuedCents, refundedCents }), queuedDays);
+  const remainingDays = queuedDays - days;
+  const claimQs = new URLSearchParams({
+    id: `eq.${row.id}`,
+    status: 'eq.pending',
+    attempts: `eq.${row.attempts}`,
+    select: 'id',
+  });
+  const patched = await supabasePatch(
+    'payment_outbox',
+    claimQs.toString(),
+    remainingDays > 0
+      ? { days: remainingDays, amount_cents: Math.max(queuedCents - (refundedCents ?? 0), 0) }
+      : { status: 'canceled', completed_at: nowIso(), last_error: 'reversed_before_apply' }
+  );
+  if (!Array.isArray(patched) || patched.length !== 1) throw new Error(`payment_outbox row ${row.id} changed while reversing`);
+  return {
+    userId: row.user_id,
+    days,
+    remainingDays,
+    amountCents: remainingDays > 0 ? refundedCents : queuedCents,
+    intentId: row.intent_id ?? null,
+  };
+}
+
+function reversalDays({ appliedDays, appliedAmountCents, refundedCents }) {
+  // Partial refunds remove a proportional number of days; anything else reverses the full grant.
+  if (!Number.isFinite(refundedCents) || refundedCents <= 0) return appliedDays;
+  if (!Number.isFinite(appliedAmountCents) || appliedAmountCents <= 0) return appliedDays;
+  if (refundedCents >= appliedAmountCents) return appliedDays;
+  return Math.round((appliedDays * refundedCents) / appliedAmountCents);
+}
+
+function amountToleranceCents() {
+  return Number.isFinite(PAYMENT_AMOUNT_TOLERANCE_CENTS) ? Math.max(PAYMENT_AMOUNT_TOLERANCE_CENTS, 0) : 0;
+}
+
+async function allocateAmountOffset({ provider, baseAmountCents }) {
+  // Smallest offset not taken by another pending intent for the same price within the match window.
+  // Starts at 1 so an offset intent is never confused with a payment of the plain catalog price.
+  if (!(INTENT_AMOUNT_OFFSET_MAX_CENTS > 0)) return 0;
+  const qs = new URLSearchParams({
+    select: 'amount_offset_cents',
+    provider: `eq.${provider}`,
+    status: 'eq.pending',
+    base_amount_cents: `eq.${baseAmountCents}`,
+    created_at: `gte.${new Date(Date.now() - INTENT_MATCH_WINDOW_MS).toISOString()}`,
+  });
+  const rows = await supabaseSelect('payment_intents', qs.toString());
+  const used = new Set((Array.isArray(rows) ? rows : []).map((r) => Number(r.amount_offset_cents)));
+  for (let offset = 1; offset <= INTENT_AMOUNT_OFFSET_MAX_CENTS; offset += 1) {
+    if (!used.has(offset)) return offset;
+  }
+  return 0;
+}
+
+function intentCandidatesQuery({ provider, amountCents, at = Date.now(), status = 'pending', limit = 20, userId = null }) {
+  // Intents created in the window before the payment whose amount could explain the paid one: the same
+  // amount (within tolerance), or up to INTENT_AMOUNT_OFFSET_MAX_CENTS more when the offset wasn't paid.
+  const tolerance = amountToleranceCents();
+  const params = [
+    ['select', 'id,user_id,days,amount_cents,base_amount_cents,payer_email,payer_name,status,created_at,checkout_started_at'],
+    ['provider', `eq.${provider}`],
+    ['amount_cents', `gte.${amountCents - tolerance}`],
+    ['amount_cents', `lte.${amountCents + tolerance + Math.max(INTENT_AMOUNT_OFFSET_MAX_CENTS, 0)}`],
+    ['created_at', `gte.${new Date(at - INTENT_MATCH_WINDOW_MS).toISOString()}`],
+    ['created_at', `lte.${new Date(at).toISOString()}`],
+    ['order', 'created_at.desc'],
+    ['limit', String(limit)],
+  ];
+  if (status) params.push(['status', `eq.${status}`]);
+  // Overdue intents the sweeper hasn't reached yet are as expired as the swept ones.
+  if (status === 'pending') params.push(['or', `(expires_at.is.null,expires_at.gt.${new Date(at).toISOString()})`]);
+  if (userId) params.push(['user_id', `eq.${userId}`]);
+  return new URLSearchParams(params).toString();
+}
+
+// Points per signal. An exact amount or a matching payer email can single out one intent among several;
+// time or name alone stays under INTENT_MATCH_MIN_MARGIN, though the two together can clear it.
+// emailMismatch only applies when there is more than one candidate: a lone exact-amount intent paid
+// with someone else's card is the common case and must still match.
+const INTENT_MATCH_WEIGHTS = {
+  exactAmount: 50,
+  toleranceAmount: 20,
+  baseAmount: 20,
+  time: 20,
+  email: 40,
+  emailMismatch: -20,
+  name: 15,
+};
+
+function nameTokens(name) {
+  return new Set(
+    String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length >= 2)
+  );
+}
+
+function nameSimilarity(a, b) {
+  // Jaccard over name tokens, accent- and case-insensitive. null when either side has no name.
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.size || !tb.size) return null;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared += 1;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function scoreIntentCandidate(intent, { amountCents, at, payerEmail, payerName, penalizeEmailMismatch = true }) {
+  // Returns { score, breakdown } with one entry per signal.
+  const w = INTENT_MATCH_WEIGHTS;
+  const breakdown = { amount: 0, time: 0, email: 0, name: 0 };
+
+  const intentAmount = safeNumber(intent.amount_cents);
+  if (intentAmount === amountCents) breakdown.amount = w.exactAmount;
+  else if (Number.isFinite(intentAmount) && Math.abs(intentAmount - amountCents) <= amountToleranceCents()) {
+    breakdown.amount = w.toleranceAmount;
+  } else if (safeNumber(intent.base_amount_cents) === amountCents) breakdown.amount = w.baseAmount;
+
+  const startedAt = Date.parse(intent.checkout_started_at || intent.created_at || '');
+  if (Number.isFinite(startedAt)) {
+    const elapsed = Math.max(at - startedAt, 0);
+    breakdown.time = Math.max(Math.round(w.time * (1 - elapsed / INTENT_MATCH_WINDOW_MS)), 0);
+  }
+
+  const email = String(payerEmail || '').trim().toLowerCase();
+  const intentEmail = String(intent.payer_email || '').trim().toLowerCase();
+  if (email && intentEmail) {
+    if (email === intentEmail) breakdown.email = w.email;
+    else if (penalizeEmailMismatch) breakdown.email = w.emailMismatch;
+  }
+
+  const similarity = nameSimilarity(payerName, intent.payer_name);
+  if (similarity !== null) breakdown.name = Math.round(w.name * similarity);
+
+  const score = breakdown.amount + breakdown.time + breakdown.email + breakdown.name;
+  return { score, breakdown };
+}
+
+function rankIntentCandidates(rows, signals) {
+  const candidates = (Array.isArray(rows) ? rows : []).filter((row) => row?.id && row?.user_id);
+  const penalizeEmailMismatch = candidates.length > 1;
+  return candidates
+    .map((row) => ({ intent: row, ...scoreIntentCandidate(row, { ...signals, penalizeEmailMismatch }) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function isIntentExpired(intent, at = Date.now()) {
+  // Swept by the expiry job, or overdue and not swept yet.
+  if (intent?.status === 'expired') return true;
+  return intent?.status === 'pending' && Boolean(intent.expires_at) && Date.parse(intent.expires_at) < at;
+}
+
+async function fetchIntentExpiry(intentId) {
+  const qs = new URLSearchParams({ select: 'id,status,expires_at', id: `eq.${intentId}`, limit: '1' });
+  const rows = await supabaseSelect('payment_intents', qs.toString());
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+const WEBHOOK_LOCK_TTL_MS = Number(process.env.WEBHOOK_LOCK_TTL_MS || 60_000);
+const WEBHOOK_LOCK_WAIT_MS = Number(process.env.WEBHOOK_LOCK_WAIT_MS || 5_000);
+
+async function tryAcquireWebhookLock({ provider, providerPaymentId, traceId }) {
+  // Returns 'acquired' | 'busy' | 'unavailable'. The primary key on (provider, provider_payment_id) does the locking.
+  const row = {
+    provider,
+    provider_payment_id: providerPaymentId,
+    trace_id: traceId,
+    locked_at: nowIso(),
+    expires_at: new Date(Date.now() + WEBHOOK_LOCK_TTL_MS).toISOString(),
+  };
+  try {
+    await supabaseInsert('payment_webhook_locks', row);
+    return 'acquired';
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (!msg.includes('(409)') && !msg.includes('23505')) {
+      logger.warn('webhook_lock_unavailable', { error: msg });
+      return 'unavailable';
+    }
+  }
+
+  // Take over a lock left behind by a crashed/timed-out instance.
+  const qs = new URLSearchParams({
+    provider: `eq.${provider}`,
+    provider_payment_id: `eq.${providerPaymentId}`,
+    expires_at: `lt.${nowIso()}`,
+    select: 'provider_payment_id',
   });
+  const taken = await supabasePatch('payment_webhook_locks', qs.toString(), row);
+  return Array.isArray(taken) && taken.length === 1 ? 'acquired' : 'busy';
+}
 
-  const text = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`Supabase patch ${tableName} failed (${resp.status}): ${text}`);
+async function acquireWebhookLock(lock) {
+  const deadline = Date.now() + WEBHOOK_LOCK_WAIT_MS;
+  for (;;) {
+    const state = await tryAcquireWebhookLock(lock);
+    if (state !== 'busy' || Date.now() >= deadline) return state;
+    await new Promise((r) => setTimeout(r, 500));
   }
+}
+
+async function releaseWebhookLock({ provider, providerPaymentId, traceId }) {
   try {
-    return text ? JSON.parse(text) : [];
-  } catch {
-    return [];
+    const qs = new URLSearchParams({
+      provider: `eq.${provider}`,
+      provider_payment_id: `eq.${providerPaymentId}`,
+      trace_id: `eq.${traceId}`,
+    });
+    await supabaseDelete('payment_webhook_locks', qs.toString());
+  } catch (e) {
+    // It expires on its own.
+    logger.warn('webhook_lock_release_failed', { error: String(e?.message || e) });
   }
 }
 
-async function logWebhookEvent(eventRow) {
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const OUTBOX_BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 60_000);
+const OUTBOX_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A claimed row is invisible to other runs for this long; if the run dies it becomes due again.
+const OUTBOX_LEASE_MS = 5 * 60 * 1000;
+
+function outboxBackoffMs(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_MAX_DELAY_MS);
+}
+
+async function enqueueCreditRetry({
+  provider,
+  userId,
+  days,
+  amountCents,
+  providerPaymentId,
+  intentId,
+  payerEmail,
+  rawEvent,
+  error,
+  traceId,
+}) {
+  // The webhook's own attempt counts as the first one. One row per payment: when a redelivery fails again,
+  // a pending row is already queued and a dead one is revived. Anything else throws, so the webhook
+  // answers 500 and the provider keeps retrying. Returns 'queued' | 'already_queued' | 'revived'.
+  const row = {
+    provider,
+    provider_payment_id: providerPaymentId,
+    user_id: userId,
+    days,
+    amount_cents: amountCents ?? 0,
+    intent_id: intentId ?? null,
+    payer_email: payerEmail ?? null,
+    raw_event: rawEvent ?? null,
+    status: 'pending',
+    attempts: 1,
+    next_attempt_at: new Date(Date.now() + outboxBackoffMs(1)).toISOString(),
+    last_error: String(error || '').slice(0, 500),
+    trace_id: traceId ?? null,
+  };
   try {
-    // Optional: only works if the table exists in Supabase.
-    await supabaseInsert('payment_webhook_events', eventRow);
+    await supabaseInsert('payment_outbox', row);
+    return 'queued';
   } catch (e) {
-    // If table exists but a column is missing (schema drift), retry with a minimal payload.
     const msg = String(e?.message || e);
-    const looksLikeUnknownColumn = msg.includes('Could not find the') || msg.includes('column') || msg.includes('PGRST');
-    if (looksLikeUnknownColumn) {
-      try {
-        const {
-          provider,
-          received_at,
-          event_name,
-          status,
-          approved,
-          provider_payment_id,
-          reference,
-          amount_cents,
-          payer_email,
-          user_id,
-          days,
-          outcome,
-          outcome_reason,
-        } = eventRow || {};
+    if (!msg.includes('(409)') && !msg.includes('23505')) throw e;
+  }
 
-        await supabaseInsert('payment_webhook_events', {
-          provider,
-          received_at,
-          event_name,
-          status,
-          approved,
-          provider_payment_id,
-          reference,
-          amount_cents,
-          payer_email,
-          user_id,
-          days,
-          outcome,
-          outcome_reason,
-        });
-        return;
-      } catch {
-        // fallthrough
-      }
+  const keyParams = { provider: `eq.${provider}`, provider_payment_id: `eq.${providerPaymentId}` };
+  const existing = await supabaseSelect(
+    'payment_outbox',
+    new URLSearchParams({ ...keyParams, select: 'id,status', limit: '1' }).toString()
+  );
+  const existingStatus = Array.isArray(existing) ? existing[0]?.status ?? null : null;
+  if (existingStatus === 'pending') return 'already_queued';
+  if (existingStatus === 'dead') {
+    const revivedQs = new URLSearchParams({ ...keyParams, status: 'eq.dead', select: 'id' });
+    const revived = await supabasePatch('payment_outbox', revivedQs.toString(), { ...row, completed_at: null });
+    if (Array.isArray(revived) && revived.length === 1) {
+      logger.warn('outbox_revived', { providerPaymentId });
+      return 'revived';
     }
-
-    // Never break webhook processing because of logging.
-    console.warn('Falha ao registrar payment_webhook_events (ignorado):', msg);
   }
+  throw new Error(`payment_outbox row for ${providerPaymentId} is ${existingStatus ?? 'missing'}; not queued`);
 }
 
-function sanitizeWebhookEvent(evt) {
+async function markIntentApplyFailed({ intentId, providerPaymentId, status, note }) {
+  // Best-effort. `matched` while the outbox retries the credits, `error` once nothing will, `refunded`
+  // when the payment was refunded before it was applied.
+  if (!intentId) return;
   try {
-    const data = evt?.data ?? null;
-    const foundStatus = findFirstKeyMatch(evt, new Set(['status', 'state', 'situation', 'payment_status', 'transaction_status']));
-    return {
-      hasData: Boolean(data),
-      event:
-        evt?.event ??
-        evt?.type ??
-        evt?.name ??
-        evt?.event_name ??
-        evt?.eventName ??
-        evt?.topic ??
-        evt?.action ??
-        evt?.event_type ??
-        evt?.eventType ??
-        null,
-      topLevelKeys: Object.keys(evt || {}).slice(0, 50),
-      dataKeys: data && typeof data === 'object' ? Object.keys(data).slice(0, 80) : null,
-      found: {
-        statusPath: foundStatus?.path ?? null,
-        statusValue: foundStatus?.value ?? null,
-      },
-      data: {
-        status:
-          data?.status ||
-          data?.payment_status ||
-          data?.paymentStatus ||
-          data?.transaction_status ||
-          data?.state ||
-          data?.situation ||
-          data?.status_detail ||
-          data?.statusDetail ||
-          data?.payment?.status ||
-          data?.transaction?.status ||
-          data?.charge?.status ||
-          data?.order?.status ||
-          null,
-        approved:
-          data?.approved ??
-          data?.is_approved ??
-          data?.isApproved ??
-          evt?.approved ??
-          evt?.is_approved ??
-          evt?.isApproved ??
-          null,
-        paid:
-          data?.paid ??
-          data?.is_paid ??
-          data?.isPaid ??
-          evt?.paid ??
-          evt?.is_paid ??
-          evt?.isPaid ??
-          null,
-        amount: data?.amount ?? data?.total_amount ?? null,
-        topAmount: evt?.amount ?? evt?.total_amount ?? null,
-        topPaidAmount: evt?.paid_amount ?? evt?.paidAmount ?? null,
-        reference:
-          data?.reference ||
-          data?.external_reference ||
-          data?.externalReference ||
-          data?.metadata?.reference ||
-          data?.metadata?.ref ||
-          data?.metadata?.external_reference ||
-          null,
-        uid: data?.uid || data?.user_id || data?.userId || data?.metadata?.uid || data?.metadata?.user_id || data?.metadata?.userId || null,
-        days: data?.days || data?.metadata?.days || data?.metadata?.plan_days || null,
-        paymentId: data?.payment_id || data?.paymentId || data?.id || data?.transaction_id || data?.transactionId || null,
-        topPaymentId: evt?.payment_id || evt?.paymentId || evt?.id || evt?.transaction_id || evt?.transactionId || evt?.transaction_nsu || evt?.order_nsu || evt?.invoice_slug || null,
-        payerEmail:
-          data?.customer?.email ||
-          data?.payer?.email ||
-          data?.buyer?.email ||
-          data?.customer_email ||
-          data?.customerEmail ||
-          data?.buyer_email ||
-          data?.buyerEmail ||
-          data?.email ||
-          null,
-      },
-    };
+    const qs = new URLSearchParams({ id: `eq.${intentId}`, status: 'in.(pending,matched,expired)', select: 'id' });
+    const rows = await supabasePatch('payment_intents', qs.toString(), {
+      status,
+      provider_payment_id: providerPaymentId ?? null,
+      matched_at: nowIso(),
+      note: String(note).slice(0, 240),
+    });
+    if (Array.isArray(rows) && rows.length) publishIntentState(intentId, status);
   } catch {
-    return null;
+    // ignore
   }
 }
 
-async function applyCredits({ userId, days, amountCents, providerPaymentId, rawEvent }) {
-  await supabaseRpc('service_apply_payment_credits', {
-    p_user_id: userId,
-    p_days: days,
-    p_amount_cents: amountCents ?? 0,
-    p_description: 'infinitepay_webhook',
-    p_provider: 'infinitepay',
-    p_provider_payment_id: providerPaymentId ?? null,
-    p_raw_event: rawEvent ?? null,
+async function markIntentAppliedAfterRetry({ provider, intentId, providerPaymentId }) {
+  const params = [
+    ['provider', `eq.${provider}`],
+    ['status', 'in.(matched,error)'],
+    ['select', 'id'],
+  ];
+  params.push(intentId ? ['id', `eq.${intentId}`] : ['provider_payment_id', `eq.${providerPaymentId}`]);
+  const rows = await supabasePatch('payment_intents', new URLSearchParams(params).toString(), {
+    status: 'applied',
+    provider_payment_id: providerPaymentId,
+    matched_at: nowIso(),
+    note: 'applied_by_outbox_retry',
   });
+  for (const row of Array.isArray(rows) ? rows : []) publishIntentState(row.id, 'applied');
 }
 
-async function tryMatchIntent({ amountCents, providerPaymentId }) {
-  // Tries to match a pending intent created by the frontend when the webhook doesn't include user info.
-  // Only auto-matches if there is exactly 1 candidate within the window.
-  if (!Number.isFinite(amountCents)) return { intent: null, reason: 'invalid_amount' };
+async function processOutboxRow(row) {
+  // Returns 'applied' | 'already_applied' | 'retry' | 'dead' | 'skipped' (claimed by another run, or the
+  // payment is locked by a webhook delivery, e.g. a refund reducing this row).
+  const provider = row.provider || DEFAULT_PAYMENT_PROVIDER;
+  const lock = { provider, providerPaymentId: row.provider_payment_id, traceId: newRequestId() };
+  const lockState = await tryAcquireWebhookLock(lock);
+  if (lockState === 'busy') return 'skipped';
+  try {
+    return await processLockedOutboxRow(row);
+  } finally {
+    if (lockState === 'acquired') await releaseWebhookLock(lock);
+  }
+}
 
-  const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-  const qs = new URLSearchParams({
-    select: 'id,user_id,days,created_at',
-    provider: 'eq.infinitepay',
+async function processLockedOutboxRow(listed) {
+  // The claim bumps `attempts`, which it also filters on, so only one run can win it; a run that dies
+  // mid-way has still used up the attempt. Days and amount come from the claim: a refund may have
+  // reduced them since the row was listed.
+  const attempts = Number(listed.attempts || 0) + 1;
+  const claimQs = new URLSearchParams({
+    id: `eq.${listed.id}`,
     status: 'eq.pending',
-    amount_cents: `eq.${amountCents}`,
-    created_at: `gte.${since}`,
-    order: 'created_at.desc',
-    limit: '2',
+    attempts: `eq.${listed.attempts}`,
+    select: 'days,amount_cents',
   });
+  const claimed = await supabasePatch('payment_outbox', claimQs.toString(), {
+    attempts,
+    next_attempt_at: new Date(Date.now() + OUTBOX_LEASE_MS).toISOString(),
+  });
+  if (!Array.isArray(claimed) || claimed.length !== 1) return 'skipped';
 
-  const rows = await supabaseSelect('payment_intents', qs.toString());
-  if (!Array.isArray(rows) || rows.length === 0) return { intent: null, reason: 'no_candidate' };
-  if (rows.length !== 1) return { intent: null, reason: 'multiple_candidates' };
+  const row = { ...listed, days: claimed[0].days ?? listed.days, amount_cents: claimed[0].amount_cents ?? listed.amount_cents };
+  const rowQs = new URLSearchParams({ id: `eq.${row.id}` }).toString();
+  const provider = row.provider || DEFAULT_PAYMENT_PROVIDER;
+
+  // The provider's own retry may have succeeded in the meantime.
+  if (await findAppliedPayment({ provider, providerPaymentId: row.provider_payment_id })) {
+    await supabasePatch('payment_outbox', rowQs, { status: 'done', completed_at: nowIso(), last_error: 'already_applied' });
+    return 'already_applied';
+  }
+
+  try {
+    await applyCredits({
+      provider,
+      userId: row.user_id,
+      days: row.days,
+      amountCents: row.amount_cents ?? 0,
+      providerPaymentId: row.provider_payment_id,
+      rawEvent: row.raw_event,
+    });
+  } catch (e) {
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS;
+    await supabasePatch('payment_outbox', rowQs, {
+      status: dead ? 'dead' : 'pending',
+      next_attempt_at: new Date(Date.now() + outboxBackoffMs(attempts)).toISOString(),
+      last_error: String(e?.message || e).slice(0, 500),
+    });
+    if (dead) {
+      await markIntentApplyFailed({
+        intentId: row.intent_id,
+        providerPaymentId: row.provider_payment_id,
+        status: 'error',
+        note: `outbox_dead: ${String(e?.message || e)}`,
+      });
+    }
+    return dead ? 'dead' : 'retry';
+  }
+
+  await supabasePatch('payment_outbox', rowQs, {
+    status: 'done',
+    completed_at: nowIso(),
+    last_error: null,
+  });
+
+  try {
+    await markIntentAppliedAfterRetry({ provider, intentId: row.intent_id, providerPaymentId: row.provider_payment_id });
+  } catch (e) {
+    logger.warn('intent_mark_applied_failed', { error: String(e?.message || e) });
+  }
+
+  await logWebhookEvent({
+    provider,
+    event_name: 'outbox_retry',
+    status: null,
+    approved: true,
+    provider_payment_id: row.provider_payment_id,
+    reference: null,
+    amount_cents: row.amount_cents ?? null,
+    payer_email: row.payer_email ?? null,
+    user_id: row.user_id,
+    days: row.days,
+    outcome: 'applied',
+    outcome_reason: `outbox_retry: attempt ${attempts}`,
+    trace_id: row.trace_id ?? null,
+    raw_event: null,
+  });
+
+  await sendPaymentReceipt({
+    provider,
+    providerPaymentId: row.provider_payment_id,
+    userId: row.user_id,
+    days: row.days,
+    amountCents: row.amount_cents ?? 0,
+    payerEmail: row.payer_email ?? null,
+    traceId: row.trace_id ?? null,
+  });
+  return 'applied';
+}
+
+async function tryMatchIntent({
+  provider,
+  amountCents,
+  providerPaymentId,
+  payerEmail = null,
+  payerName = null,
+  userId = null,
+  at = Date.now(),
+}) {
+  // Tries to match a pending intent created by the frontend when the webhook doesn't include user info.
+  // Candidates are scored (see scoreIntentCandidate); the best one is claimed only if it reaches
+  // INTENT_MATCH_MIN_SCORE and beats the runner-up by INTENT_MATCH_MIN_MARGIN.
+  if (!Number.isFinite(amountCents)) {
+    incCounter(metrics.intentMatches, { provider, reason: 'invalid_amount' });
+    return { intent: null, reason: 'invalid_amount', candidates: [] };
+  }
+
+  const rows = await supabaseSelect('payment_intents', intentCandidatesQuery({ provider, amountCents, at, userId }));
+  const ranked = rankIntentCandidates(rows, { amountCents, at, payerEmail, payerName });
+  const candidates = ranked.slice(0, 5).map(({ intent, score, breakdown }) => ({ intentId: intent.id, score, breakdown }));
+  const [best, runnerUp] = ranked;
+
+  let reason = 'matched';
+  if (!best) reason = 'no_candidate';
+  else if (best.score < INTENT_MATCH_MIN_SCORE) reason = 'below_threshold';
+  else if (runnerUp && best.score - runnerUp.score < INTENT_MATCH_MIN_MARGIN) reason = 'ambiguous';
+
+  logger.info('intent_match_scored', {
+    provider,
+    amountCents,
+    providerPaymentId,
+    reason,
+    minScore: INTENT_MATCH_MIN_SCORE,
+    minMargin: INTENT_MATCH_MIN_MARGIN,
+    candidates,
+  });
+  if (reason !== 'matched') {
+    incCounter(metrics.intentMatches, { provider, reason });
+    return { intent: null, reason, candidates };
+  }
 
-  const intent = rows[0];
-  if (!intent?.id || !intent?.user_id) return { intent: null, reason: 'invalid_intent_row' };
+  const intent = best.intent;
 
   // Claim it (best-effort) to avoid double matching.
   const claimQs = new URLSearchParams({
@@ -961,12 +3768,18 @@ async function tryMatchIntent({ amountCents, providerPaymentId }) {
     provider_payment_id: providerPaymentId ?? null,
     matched_at: nowIso(),
   });
-  if (!Array.isArray(claimed) || claimed.length !== 1) return { intent: null, reason: 'claim_failed' };
+  if (!Array.isArray(claimed) || claimed.length !== 1) {
+    incCounter(metrics.intentMatches, { provider, reason: 'claim_failed' });
+    return { intent: null, reason: 'claim_failed', candidates };
+  }
 
-  return { intent, reason: 'matched' };
+  incCounter(metrics.intentMatches, { provider, reason: 'matched' });
+  publishIntentState(intent.id, 'matched');
+  return { intent, reason: 'matched', score: best.score, candidates };
 }
 
-app.post('/api/infinitepay/webhook', async (req, res) => {
+app.post('/api/:provider/webhook', async (req, res) => {
+  const provider = req.paymentProvider;
   // Keep context for error logging.
   let ctxEventName = null;
   let ctxStatus = null;
@@ -981,203 +3794,337 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
   let ctxOutcome = null;
   let ctxOutcomeReason = null;
   let ctxIntentMatchReason = null;
-  const ctxTraceId = `t_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
+  let ctxIntentMatchCandidates = null;
+  let ctxIntentAmountCents = null;
+  let ctxIntentDays = null;
+  const ctxTraceId = currentRequestId() ?? newRequestId();
+  let ctxLockedPaymentId = null;
+  let ctxSignature = null;
+  // Every row of this delivery records how its signature was verified.
+  const logEvent = (row) =>
+    logWebhookEvent({
+      ...row,
+      signature_mode: ctxSignature?.mode ?? null,
+      signature_key_id: ctxSignature?.keyId ?? null,
+    });
 
   try {
     const evt = req.body ?? {};
-    const signatureCheck = verifyWebhookSignature(req);
+    const signatureCheck = provider.verifySignature(req);
+    ctxSignature = signatureCheck;
     if (!signatureCheck.ok) {
+      // Not written to payment_webhook_events: anyone can send these, so they only cost a log line.
+      incCounter(metrics.signatureFailures, { provider: provider.id, reason: metricReason(signatureCheck.reason) });
+      logger.warn('webhook_signature_rejected', {
+        provider: provider.id,
+        reason: signatureCheck.reason || 'invalid_signature',
+        ip: clientIp(req),
+      });
       return res.status(401).json({ error: signatureCheck.reason || 'invalid_signature' });
     }
-
+    // A 409 (retry: true) or 5xx asks the provider to resend this same signed request; it must not
+    // then be refused as a replay.
+    if (signatureCheck.replayDigest) {
+      res.on('close', () => {
+        if (!res.writableFinished || res.statusCode < 200 || res.statusCode >= 300) forgetSignature(signatureCheck.replayDigest);
+      });
+    }
 
     const hasSupabaseUrl = Boolean(SUPABASE_URL);
     const hasServiceRoleKey = Boolean(SUPABASE_SERVICE_ROLE_KEY);
     if (!hasSupabaseUrl || !hasServiceRoleKey) {
-      console.error('Webhook recebido mas env do Supabase ausente', {
+      logger.error('webhook_missing_supabase_env', {
         hasSupabaseUrl,
         hasServiceRoleKey,
       });
       return res.status(500).json({ error: 'missing_supabase_env' });
     }
 
-    const eventNameRaw =
-      evt?.event ||
-      evt?.type ||
-      evt?.name ||
-      evt?.event_name ||
-      evt?.eventName ||
-      evt?.topic ||
-      evt?.action ||
-      evt?.event_type ||
-      evt?.eventType ||
-      null;
-    const eventName = normalizeEventName(eventNameRaw);
-    const statusRaw =
-      evt?.data?.status ||
-      evt?.data?.payment_status ||
-      evt?.data?.paymentStatus ||
-      evt?.data?.transaction_status ||
-      evt?.data?.state ||
-      evt?.data?.situation ||
-      evt?.data?.status_detail ||
-      evt?.data?.statusDetail ||
-      evt?.data?.payment?.status ||
-      evt?.data?.transaction?.status ||
-      evt?.data?.charge?.status ||
-      evt?.data?.order?.status ||
-      evt?.status ||
-      null;
-    const statusFallback =
-      statusRaw ??
-      findFirstKeyMatch(evt, new Set(['status', 'state', 'situation', 'payment_status', 'transaction_status']))?.value ??
-      null;
-    const status = normalizeStatus(statusFallback);
+    const extracted = provider.extractFields(evt);
+    const fields = extracted.values;
+    const eventName = normalizeEventName(fields.eventName);
+    const status = normalizeStatus(fields.status);
 
     ctxEventName = eventName;
     ctxStatus = status;
 
-    const approved = computeApproval({ eventName, status, evt });
+    const approved = provider.computeApproval({ eventName, status, evt });
 
     ctxApproved = approved;
 
     // Always log a compact summary so we can confirm delivery in Vercel logs.
     try {
-      console.log('InfinitePay webhook summary', {
+      logger.info('webhook_summary', {
         eventName,
         status,
         approved,
-        hasReference: Boolean(
-          evt?.data?.reference ||
-            evt?.data?.external_reference ||
-            evt?.data?.externalReference ||
-            evt?.data?.metadata?.reference ||
-            evt?.data?.metadata?.ref ||
-            evt?.data?.metadata?.external_reference ||
-            evt?.reference
-        ),
-        hasId: Boolean(evt?.data?.id || evt?.data?.payment_id || evt?.data?.transaction_id || evt?.id),
+        hasReference: Boolean(fields.reference),
+        hasId: Boolean(fields.providerPaymentId),
+        matchedPaths: extracted.paths,
       });
     } catch {
       // ignore
     }
 
-    const reference =
-      evt?.data?.reference ||
-      evt?.data?.external_reference ||
-      evt?.data?.externalReference ||
-      evt?.data?.order_reference ||
-      evt?.data?.orderReference ||
-      evt?.data?.description ||
-      evt?.data?.title ||
-      evt?.data?.message ||
-      evt?.data?.metadata?.reference ||
-      evt?.data?.metadata?.ref ||
-      evt?.data?.metadata?.external_reference ||
-      evt?.reference ||
-      null;
-
-    // Some providers move our reference/metadata around; try to find any reference-like string.
-    const referenceRegex = /user_[0-9a-fA-F-]{36}_(?:days_\d{1,4}|\d{1,4}|premium|standard)/;
-    const referenceScanned = reference ?? findFirstStringMatch(evt, referenceRegex);
+    const referenceScanned = fields.reference === null ? null : String(fields.reference);
 
     ctxReference = referenceScanned;
 
-    let providerPaymentId =
-      evt?.data?.payment_id ||
-      evt?.data?.paymentId ||
-      evt?.data?.id ||
-      evt?.data?.transaction_id ||
-      evt?.data?.transactionId ||
-      evt?.data?.transaction_nsu ||
-      evt?.data?.order_nsu ||
-      evt?.data?.invoice_slug ||
-      evt?.payment_id ||
-      evt?.id ||
-      evt?.transaction_id ||
-      evt?.transactionId ||
-      evt?.transaction_nsu ||
-      evt?.order_nsu ||
-      evt?.invoice_slug ||
-      null;
-    if (!providerPaymentId) providerPaymentId = stableFallbackPaymentId(evt);
+    const providerPaymentId = provider.derivePaymentId({ fields, evt });
+    const paymentIdAliases = (provider.paymentIdAliases?.({ fields, evt }) ?? []).filter(
+      (id) => id && id !== providerPaymentId
+    );
 
     ctxProviderPaymentId = providerPaymentId;
 
-    const amountRaw =
-      evt?.data?.amount ??
-      evt?.data?.total_amount ??
-      evt?.amount ??
-      evt?.total_amount ??
-      // Some payloads only include paid_amount
-      evt?.paid_amount ??
-      evt?.paidAmount ??
-      null;
-
-    const amountFallback =
-      amountRaw ??
-      findFirstKeyMatch(evt, new Set(['amount', 'total_amount', 'paid_amount', 'paidamount']))?.value ??
-      null;
-
-    const amountCents = normalizeAmountCents(amountFallback);
-    const inferredDays = daysFromAmount(amountCents);
+    const amountCents = normalizeAmountCents(fields.amount);
+    const inferredDays = await daysFromAmount(amountCents);
 
     ctxAmountCents = amountCents;
 
-    const payerEmail =
-      evt?.data?.customer?.email ||
-      evt?.data?.payer?.email ||
-      evt?.data?.buyer?.email ||
-      evt?.data?.customer_email ||
-      evt?.data?.customerEmail ||
-      evt?.data?.buyer_email ||
-      evt?.data?.buyerEmail ||
-      evt?.data?.email ||
-      evt?.email ||
-      null;
-
-    const payerEmailScanned =
-      payerEmail ??
-      findFirstKeyMatch(
-        evt,
-        new Set([
-          'email',
-          'customer_email',
-          'customeremail',
-          'buyer_email',
-          'buyeremail',
-          'payer_email',
-          'payeremail',
-        ])
-      )?.value ??
-      null;
+    const payerEmailScanned = fields.payerEmail === null ? null : String(fields.payerEmail);
 
     ctxPayerEmail = payerEmailScanned;
 
-    const parsed = parseReference(referenceScanned);
+    // Refunds/chargebacks: take back what was granted for this payment (if anything was).
+    const reversal = provider.computeReversal({ eventName, status, evt });
+    if (reversal) {
+      // Same lock as the payment's own deliveries and the outbox retry, so a refund never races the
+      // grant it reverses.
+      if (providerPaymentId) {
+        const lock = await acquireWebhookLock({ provider: provider.id, providerPaymentId, traceId: ctxTraceId });
+        if (lock === 'busy') return res.status(409).json({ error: 'payment_in_progress', retry: true });
+        if (lock === 'acquired') ctxLockedPaymentId = providerPaymentId;
+      }
+
+      const refundedCents = reversal === 'refund' ? normalizeAmountCents(fields.refundedAmount) : null;
+      // Without a provider refund id, the event's own hash keeps two equal partial refunds apart while
+      // redeliveries of the same event still collapse into one reversal.
+      const reversalId = String(
+        fields.reversalId ?? `${providerPaymentId}:${reversal}:${refundedCents ?? 'full'}:${stableFallbackPaymentId(evt)}`
+      );
+      const applied = await findAppliedPayment({ provider: provider.id, providerPaymentId, aliases: paymentIdAliases });
+      // Reversal bookkeeping goes under the id the grant was logged with.
+      const appliedPaymentId = applied?.providerPaymentId ?? providerPaymentId;
+      const previous = await findPaymentReversals({ provider: provider.id, providerPaymentId: appliedPaymentId });
+      if (previous.reversalIds.has(reversalId)) {
+        return res.status(200).json({ received: true, reversed: true, duplicate: true });
+      }
+
+      if (!applied) {
+        const queued = providerPaymentId
+          ? await reduceQueuedCredits({ provider: provider.id, providerPaymentId, refundedCents })
+          : null;
+        if (queued) {
+          if (queued.remainingDays === 0) {
+            await markIntentApplyFailed({
+              intentId: queued.intentId,
+              providerPaymentId,
+              status: 'refunded',
+              note: `${reversal}_before_apply`,
+            });
+          }
+          ctxUserId = queued.userId;
+          ctxDays = queued.days;
+          ctxOutcome = 'ignored';
+          ctxOutcomeReason = `${queued.remainingDays > 0 ? `partial_${reversal}` : reversal}_before_apply: ${reversalId}`;
+          await logEvent({
+            provider: provider.id,
+            event_name: eventName,
+            status,
+            approved,
+            provider_payment_id: providerPaymentId,
+            reference: referenceScanned,
+            amount_cents: queued.amountCents,
+            payer_email: payerEmailScanned,
+            user_id: queued.userId,
+            days: queued.days,
+            outcome: ctxOutcome,
+            outcome_reason: ctxOutcomeReason,
+            trace_id: ctxTraceId,
+            raw_event: sanitizeWebhookEvent(evt, extracted),
+          });
+          return res.status(200).json({ received: true, reversed: false, dequeued: true, days: queued.days });
+        }
+
+        ctxOutcome = 'ignored';
+        ctxOutcomeReason = `${reversal}_not_applied`;
+        await logEvent({
+          provider: provider.id,
+          event_name: eventName,
+          status,
+          approved,
+          provider_payment_id: providerPaymentId,
+          reference: referenceScanned,
+          amount_cents: amountCents,
+          payer_email: payerEmailScanned,
+          user_id: null,
+          days: null,
+          outcome: ctxOutcome,
+          outcome_reason: ctxOutcomeReason,
+          trace_id: ctxTraceId,
+          raw_event: sanitizeWebhookEvent(evt, extracted),
+        });
+        return res.status(200).json({ received: true });
+      }
+
+      // Earlier partial reversals count against the grant, so the total never exceeds applied.days.
+      const remainingDays = Math.max(applied.days - previous.days, 0);
+      const reversedDays = Math.min(
+        reversalDays({ appliedDays: applied.days, appliedAmountCents: applied.amountCents, refundedCents }),
+        remainingDays
+      );
+      const isPartial = previous.days + reversedDays < applied.days;
+
+      ctxUserId = applied.userId;
+      if (reversedDays <= 0) {
+        // Everything granted was already taken back: no reversal row and the intent stays as it is.
+        ctxOutcome = 'ignored';
+        ctxOutcomeReason = `${reversal}_nothing_left`;
+        await logEvent({
+          provider: provider.id,
+          event_name: eventName,
+          status,
+          approved,
+          provider_payment_id: appliedPaymentId,
+          reference: referenceScanned,
+          amount_cents: amountCents,
+          payer_email: payerEmailScanned,
+          user_id: applied.userId,
+          days: 0,
+          outcome: ctxOutcome,
+          outcome_reason: ctxOutcomeReason,
+          trace_id: ctxTraceId,
+          raw_event: sanitizeWebhookEvent(evt, extracted),
+        });
+        return res.status(200).json({ received: true, reversed: false, days: 0 });
+      }
+
+      ctxDays = reversedDays;
+
+      await reverseCredits({
+        provider: provider.id,
+        userId: applied.userId,
+        days: reversedDays,
+        amountCents: isPartial ? refundedCents : applied.amountCents,
+        providerPaymentId: appliedPaymentId,
+        reversalId,
+        kind: reversal,
+        rawEvent: evt,
+      });
+
+      try {
+        // A partial reversal leaves the intent applied (the user keeps the remaining days); only the
+        // reversal that takes back the last day marks it refunded.
+        const qs = new URLSearchParams({
+          provider: `eq.${provider.id}`,
+          provider_payment_id: `eq.${appliedPaymentId}`,
+          status: 'eq.applied',
+          select: 'id',
+        });
+        await supabasePatch('payment_intents', qs.toString(), {
+          ...(isPartial ? {} : { status: 'refunded' }),
+          note: `${isPartial ? `partial_${reversal}` : reversal}: -${reversedDays}d`.slice(0, 240),
+        });
+      } catch (e) {
+        logger.warn('intent_mark_refunded_failed', { error: String(e?.message || e) });
+      }
+
+      ctxOutcome = 'reversed';
+      ctxOutcomeReason = `${isPartial ? `partial_${reversal}` : reversal}: ${reversalId}`;
+      await logEvent({
+        provider: provider.id,
+        event_name: eventName,
+        status,
+        approved,
+        provider_payment_id: appliedPaymentId,
+        reference: referenceScanned,
+        amount_cents: isPartial ? refundedCents : applied.amountCents,
+        payer_email: payerEmailScanned,
+        user_id: applied.userId,
+        days: reversedDays,
+        outcome: ctxOutcome,
+        outcome_reason: ctxOutcomeReason,
+        trace_id: ctxTraceId,
+        raw_event: sanitizeWebhookEvent(evt, extracted),
+      });
+      return res.status(200).json({ received: true, reversed: true, days: reversedDays });
+    }
+
+    // Idempotency: duplicate deliveries of an applied payment return right away, without lookups,
+    // intent claims or new log rows. Concurrent deliveries are serialised through a lock row.
+    if (approved === true && providerPaymentId) {
+      if (await isPaymentApplied({ provider: provider.id, providerPaymentId, aliases: paymentIdAliases })) {
+        return res.status(200).json({ success: true, duplicate: true, outcome: 'applied' });
+      }
+
+      const lock = await acquireWebhookLock({ provider: provider.id, providerPaymentId, traceId: ctxTraceId });
+      if (lock === 'busy') {
+        // Another delivery is still processing it; let the provider retry later.
+        return res.status(409).json({ error: 'payment_in_progress', retry: true });
+      }
+      if (lock === 'acquired') {
+        ctxLockedPaymentId = providerPaymentId;
+        // The lock holder we waited on may have finished the job.
+        if (await isPaymentApplied({ provider: provider.id, providerPaymentId, aliases: paymentIdAliases })) {
+          return res.status(200).json({ success: true, duplicate: true, outcome: 'applied' });
+        }
+      }
+    }
+
+    // A signed reference is checked against when the payment was made, not when this delivery arrived.
+    const paidAtMs = parsePaymentTimestamp(fields.paidAt);
+    const parsed = parseReference(referenceScanned, {
+      at: paidAtMs === null ? Date.now() - PAYMENT_REFERENCE_GRACE_SECONDS * 1000 : Math.min(paidAtMs, Date.now()),
+    });
 
     let userId = parsed?.user_id ?? null;
     let days = parsed?.days ?? null;
 
+    if (parsed?.signed) {
+      ctxIntentId = parsed.intent_id;
+      ctxIntentAmountCents = parsed.amount_cents;
+      ctxIntentDays = parsed.days;
+    }
+
+    // A tampered or expired signed reference is never credited, and never falls back to other matching.
+    if (approved === true && (parsed?.invalid === 'bad_signature' || parsed?.invalid === 'expired')) {
+      ctxOutcome = 'held_for_review';
+      ctxOutcomeReason = `invalid_reference: ${parsed.invalid}`;
+      logger.error('webhook_invalid_reference', {
+        eventName,
+        reference: referenceScanned,
+        amountCents,
+        providerPaymentId,
+        reason: parsed.invalid,
+      });
+      await logEvent({
+        provider: provider.id,
+        event_name: eventName,
+        status,
+        approved,
+        provider_payment_id: providerPaymentId,
+        reference: referenceScanned,
+        amount_cents: amountCents,
+        payer_email: payerEmailScanned,
+        user_id: null,
+        days: null,
+        outcome: ctxOutcome,
+        outcome_reason: ctxOutcomeReason,
+        trace_id: ctxTraceId,
+        raw_event: sanitizeWebhookEvent(evt, extracted),
+      });
+      return res.status(200).json({ received: true, held: true });
+    }
+
     // Alternative metadata-based identification (when reference is not preserved)
     if (!userId) {
-      const maybeUserId =
-        evt?.data?.uid ||
-        evt?.data?.user_id ||
-        evt?.data?.userId ||
-        evt?.data?.metadata?.uid ||
-        evt?.data?.metadata?.user_id ||
-        evt?.data?.metadata?.userId ||
-        null;
+      const maybeUserId = fields.userId;
       if (looksLikeUuid(maybeUserId)) userId = String(maybeUserId).trim();
     }
 
     if (!days) {
-      const maybeDays =
-        evt?.data?.days ||
-        evt?.data?.metadata?.days ||
-        evt?.data?.metadata?.plan_days ||
-        null;
+      const maybeDays = fields.days;
       const n = safeNumber(maybeDays);
       if (Number.isFinite(n) && n > 0) days = Math.round(n);
     }
@@ -1195,25 +4142,37 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       }
     }
 
-    // Definitive fallback: match a pending intent by amount (created by the frontend right before opening checkout)
-    if (!userId) {
+    // Definitive fallback: match a pending intent created by the frontend right before opening checkout.
+    // With a known user but unknown days (e.g. an offset amount), only that user's intents are candidates.
+    if (!userId || !days) {
       try {
-        const match = await tryMatchIntent({ amountCents, providerPaymentId });
+        const match = await tryMatchIntent({
+          provider: provider.id,
+          amountCents,
+          providerPaymentId,
+          payerEmail: payerEmailScanned,
+          payerName: fields.payerName === null ? null : String(fields.payerName),
+          userId,
+        });
         ctxIntentMatchReason = match?.reason ?? null;
+        ctxIntentMatchCandidates = match?.candidates ?? null;
         const intent = match?.intent ?? null;
         if (intent?.user_id) {
           userId = intent.user_id;
           ctxIntentId = intent.id;
+          ctxIntentAmountCents = safeNumber(intent?.amount_cents);
+          ctxIntentDays = safeNumber(intent?.days);
           if (!days && Number(intent?.days) > 0) days = Number(intent.days);
         }
       } catch (e) {
         // ignore, we will handle as missing user below
-        console.warn('Falha ao tentar casar payment_intent (ignorado):', String(e?.message || e));
+        logger.warn('intent_match_failed', { error: String(e?.message || e) });
       }
     }
 
     ctxUserId = userId;
     ctxDays = days;
+    setRequestUserId(userId);
 
     let outcome = 'received';
     let outcomeReason = null;
@@ -1223,8 +4182,8 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       outcomeReason = 'not_approved';
       ctxOutcome = outcome;
       ctxOutcomeReason = outcomeReason;
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      await logEvent({
+        provider: provider.id,
         event_name: eventName,
         status,
         approved,
@@ -1237,7 +4196,7 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
         outcome,
         outcome_reason: outcomeReason,
         trace_id: ctxTraceId,
-        raw_event: sanitizeWebhookEvent(evt),
+        raw_event: sanitizeWebhookEvent(evt, extracted),
       });
       return res.status(200).json({ received: true });
     }
@@ -1247,8 +4206,8 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       outcomeReason = 'unknown_approval_state';
       ctxOutcome = outcome;
       ctxOutcomeReason = outcomeReason;
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      await logEvent({
+        provider: provider.id,
         event_name: eventName,
         status,
         approved,
@@ -1261,7 +4220,7 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
         outcome,
         outcome_reason: outcomeReason,
         trace_id: ctxTraceId,
-        raw_event: sanitizeWebhookEvent(evt),
+        raw_event: sanitizeWebhookEvent(evt, extracted),
       });
       return res.status(200).json({ received: true, skipped: true });
     }
@@ -1273,17 +4232,16 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
         : 'missing_user_or_days';
       ctxOutcome = outcome;
       ctxOutcomeReason = outcomeReason;
-      console.error('Webhook aprovado mas sem identificação suficiente', {
+      logger.error('webhook_unidentified_payment', {
         eventName,
         status,
-        reference,
+        reference: referenceScanned,
         amountCents,
         providerPaymentId,
         intentMatchReason: ctxIntentMatchReason,
-        traceId: ctxTraceId,
       });
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      await logEvent({
+        provider: provider.id,
         event_name: eventName,
         status,
         approved,
@@ -1296,7 +4254,7 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
         outcome,
         outcome_reason: outcomeReason,
         trace_id: ctxTraceId,
-        raw_event: sanitizeWebhookEvent(evt),
+        raw_event: { ...sanitizeWebhookEvent(evt, extracted), intentMatch: ctxIntentMatchCandidates },
       });
       return res.status(200).json({ received: true, skipped: true });
     }
@@ -1306,57 +4264,108 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       outcomeReason = 'missing_provider_payment_id';
       ctxOutcome = outcome;
       ctxOutcomeReason = outcomeReason;
-      console.error('Webhook aprovado mas sem providerPaymentId', {
+      logger.error('webhook_missing_provider_payment_id', {
         eventName,
         status,
-        reference,
+        reference: referenceScanned,
+        amountCents,
+      });
+      await logEvent({
+        provider: provider.id,
+        event_name: eventName,
+        status,
+        approved,
+        provider_payment_id: providerPaymentId,
+        reference: referenceScanned,
+        amount_cents: amountCents,
+        payer_email: payerEmailScanned,
+        user_id: userId,
+        days,
+        outcome,
+        outcome_reason: outcomeReason,
+        trace_id: ctxTraceId,
+        raw_event: sanitizeWebhookEvent(evt, extracted),
+      });
+      return res.status(200).json({ received: true, skipped: true });
+    }
+
+    // Never grant more days than were paid for (e.g. a crafted reference on a cheaper payment).
+    const amountCheck = await checkPaidAmount({
+      amountCents,
+      days,
+      intentAmountCents: ctxIntentAmountCents,
+      intentDays: ctxIntentDays,
+    });
+    if (!amountCheck.ok) {
+      outcome = 'held_for_review';
+      outcomeReason = `${amountCheck.reason}: expected=${amountCheck.expectedCents ?? 'unknown'} paid=${amountCents ?? 'unknown'}`;
+      ctxOutcome = outcome;
+      ctxOutcomeReason = outcomeReason;
+      logger.error('webhook_amount_mismatch', {
+        eventName,
+        reference: referenceScanned,
         amountCents,
-        traceId: ctxTraceId,
+        expectedCents: amountCheck.expectedCents,
+        days,
+        providerPaymentId,
       });
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      // The intent (possibly just claimed by tryMatchIntent) won't be applied by this payment: settle it as
+      // `error` so clients waiting on it stop and /admin/events shows the payment for manual resolution.
+      if (ctxIntentId) {
+        try {
+          const qs = new URLSearchParams({ id: `eq.${ctxIntentId}`, status: 'in.(pending,matched)', select: 'id' });
+          const rows = await supabasePatch('payment_intents', qs.toString(), {
+            status: 'error',
+            provider_payment_id: providerPaymentId ?? null,
+            note: `held_for_review: ${outcomeReason}`.slice(0, 240),
+          });
+          if (Array.isArray(rows) && rows.length) publishIntentState(ctxIntentId, 'error');
+        } catch {
+          // ignore
+        }
+      }
+      await logEvent({
+        provider: provider.id,
         event_name: eventName,
         status,
         approved,
         provider_payment_id: providerPaymentId,
         reference: referenceScanned,
         amount_cents: amountCents,
+        expected_amount_cents: amountCheck.expectedCents,
         payer_email: payerEmailScanned,
         user_id: userId,
         days,
         outcome,
         outcome_reason: outcomeReason,
         trace_id: ctxTraceId,
-        raw_event: sanitizeWebhookEvent(evt),
+        raw_event: sanitizeWebhookEvent(evt, extracted),
       });
-      return res.status(200).json({ received: true, skipped: true });
+      return res.status(200).json({ received: true, held: true });
+    }
+
+    // A payment for an intent that already expired (typically via its signed reference) is still credited,
+    // but flagged. Intents claimed by tryMatchIntent were pending and unexpired by construction.
+    let latePayment = false;
+    if (ctxIntentId && ctxIntentMatchReason !== 'matched') {
+      try {
+        latePayment = isIntentExpired(await fetchIntentExpiry(ctxIntentId));
+      } catch (e) {
+        logger.warn('intent_expiry_lookup_failed', { error: String(e?.message || e) });
+      }
+      if (latePayment) logger.warn('webhook_late_payment', { intentId: ctxIntentId, providerPaymentId, amountCents });
     }
 
     try {
-      await applyCredits({ userId, days, amountCents: amountCents ?? 0, providerPaymentId, rawEvent: evt });
+      await applyCredits({ provider: provider.id, userId, days, amountCents: amountCents ?? 0, providerPaymentId, rawEvent: evt });
     } catch (e) {
       outcome = 'error';
       outcomeReason = String(e?.message || e || 'apply_failed').slice(0, 200);
       ctxOutcome = outcome;
       ctxOutcomeReason = outcomeReason;
 
-      // If we had matched an intent, mark it as error for easier manual recovery.
-      if (ctxIntentId) {
-        try {
-          const qs = new URLSearchParams({ id: `eq.${ctxIntentId}`, select: 'id' });
-          await supabasePatch('payment_intents', qs.toString(), {
-            status: 'error',
-            provider_payment_id: providerPaymentId ?? null,
-            matched_at: nowIso(),
-            note: `apply_failed: ${outcomeReason}`.slice(0, 240),
-          });
-        } catch {
-          // ignore
-        }
-      }
-
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      await logEvent({
+        provider: provider.id,
         event_name: eventName,
         status,
         approved,
@@ -1369,9 +4378,42 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
         outcome,
         outcome_reason: outcomeReason,
         trace_id: ctxTraceId,
-        raw_event: sanitizeWebhookEvent(evt),
+        raw_event: sanitizeWebhookEvent(evt, extracted),
       });
-      throw e;
+
+      // Hand it to the retry job; only if that fails too do we fall back to the provider's retries.
+      // A queued payment keeps its intent `matched` (the retry job applies it); `error` is terminal for
+      // clients, so it is only used when nothing on our side will retry.
+      try {
+        await enqueueCreditRetry({
+          provider: provider.id,
+          userId,
+          days,
+          amountCents,
+          providerPaymentId,
+          intentId: ctxIntentId,
+          payerEmail: payerEmailScanned,
+          rawEvent: evt,
+          error: outcomeReason,
+          traceId: ctxTraceId,
+        });
+      } catch (enqueueErr) {
+        logger.error('outbox_enqueue_failed', { error: String(enqueueErr?.message || enqueueErr) });
+        await markIntentApplyFailed({
+          intentId: ctxIntentId,
+          providerPaymentId,
+          status: 'error',
+          note: `apply_failed: ${outcomeReason}`,
+        });
+        throw e;
+      }
+      await markIntentApplyFailed({
+        intentId: ctxIntentId,
+        providerPaymentId,
+        status: 'matched',
+        note: `apply_queued: ${outcomeReason}`,
+      });
+      return res.status(200).json({ received: true, queued: true });
     }
 
     // Mark matched intent as applied (best-effort).
@@ -1382,16 +4424,18 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
           status: 'applied',
           provider_payment_id: providerPaymentId ?? null,
           matched_at: nowIso(),
+          ...(latePayment ? { note: 'late_payment' } : {}),
         });
+        publishIntentState(ctxIntentId, 'applied');
       } catch (e) {
-        console.warn('Falha ao marcar payment_intent como applied (ignorado):', String(e?.message || e));
+        logger.warn('intent_mark_applied_failed', { error: String(e?.message || e) });
       }
     }
 
     outcome = 'applied';
     ctxOutcome = outcome;
-    await logWebhookEvent({
-      provider: 'infinitepay',
+    await logEvent({
+      provider: provider.id,
       event_name: eventName,
       status,
       approved,
@@ -1402,16 +4446,27 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       user_id: userId,
       days,
       outcome,
-      outcome_reason: null,
+      outcome_reason: latePayment ? 'late_payment' : null,
       trace_id: ctxTraceId,
       raw_event: null,
     });
+
+    // Bounded so a slow mail transport can't push the response past the provider's timeout.
+    await sendPaymentReceiptWithin(RECEIPT_WEBHOOK_WAIT_MS, {
+      provider: provider.id,
+      providerPaymentId,
+      userId,
+      days,
+      amountCents,
+      payerEmail: payerEmailScanned,
+      traceId: ctxTraceId,
+    });
     return res.status(200).json({ success: true });
   } catch (err) {
-    console.error('Erro no webhook:', err);
+    logger.error('webhook_failed', { error: err });
     try {
-      await logWebhookEvent({
-        provider: 'infinitepay',
+      await logEvent({
+        provider: provider.id,
         event_name: ctxEventName,
         status: ctxStatus,
         approved: ctxApproved,
@@ -1430,22 +4485,457 @@ app.post('/api/infinitepay/webhook', async (req, res) => {
       // ignore
     }
     res.status(500).json({ error: 'Erro interno' });
+  } finally {
+    if (ctxLockedPaymentId) {
+      await releaseWebhookLock({ provider: provider.id, providerPaymentId: ctxLockedPaymentId, traceId: ctxTraceId });
+    }
   }
 });
 
 // Some providers perform a GET/HEAD handshake to validate the endpoint before sending POSTs.
-app.get('/api/infinitepay/webhook', async (req, res) => {
+app.get('/api/:provider/webhook', async (req, res) => {
   return res.status(200).json({ ok: true });
 });
 
-app.head('/api/infinitepay/webhook', (req, res) => {
+app.head('/api/:provider/webhook', (req, res) => {
   return res.status(200).end();
 });
 
+function isAdminUser(user) {
+  // Only app_metadata counts: it is writable by the service role alone, unlike user_metadata.
+  const meta = user?.app_metadata ?? {};
+  if (meta.role === ADMIN_ROLE) return true;
+  if (Array.isArray(meta.roles) && meta.roles.includes(ADMIN_ROLE)) return true;
+  return meta[ADMIN_ROLE] === true;
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    if (req.method === 'OPTIONS') return next();
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: 'missing_supabase_env' });
+    }
+
+    const token = extractBearerToken(req);
+    if (!token) return res.status(401).json({ error: 'missing_bearer_token' });
+
+    const user = await getRequestUser(req);
+    if (!user?.id) return res.status(401).json({ error: 'invalid_session' });
+    if (!isAdminUser(user)) return res.status(403).json({ error: 'forbidden' });
+
+    req.adminUser = { id: user.id, email: user.email ?? null };
+    return next();
+  } catch (e) {
+    logger.error('admin_auth_failed', { error: e });
+    return res.status(500).json({ error: 'admin_auth_failed' });
+  }
+}
+
+app.use('/api/infinitepay/admin', requireAdmin);
+
+// Outcomes of approved payments that did not (yet) grant credits.
+const UNAPPLIED_OUTCOMES = ['skipped', 'held_for_review', 'error'];
+
+const WEBHOOK_EVENT_COLUMNS =
+  'id,received_at,provider,event_name,status,approved,provider_payment_id,reference,amount_cents,payer_email,user_id,days,outcome,outcome_reason,trace_id';
+
+async function fetchWebhookEvent(eventId) {
+  const qs = new URLSearchParams({ select: WEBHOOK_EVENT_COLUMNS, id: `eq.${eventId}`, limit: '1' });
+  const rows = await supabaseSelect('payment_webhook_events', qs.toString());
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+app.get('/api/infinitepay/admin/events', async (req, res) => {
+  try {
+    const q = req.query ?? {};
+    const outcome = String(q.outcome || '').trim();
+    if (outcome && !UNAPPLIED_OUTCOMES.includes(outcome)) return res.status(400).json({ error: 'invalid_outcome' });
+    const limit = Math.min(Math.max(Math.round(safeNumber(q.limit) ?? 50), 1), 200);
+
+    const params = [
+      ['select', WEBHOOK_EVENT_COLUMNS],
+      ['approved', 'is.true'],
+      ['outcome', outcome ? `eq.${outcome}` : `in.(${UNAPPLIED_OUTCOMES.join(',')})`],
+      ['order', 'received_at.desc'],
+      ['limit', String(limit)],
+    ];
+    // outcome_reason is prefix-matched so "missing_user_or_days" also covers its *_ambiguous/*_below_threshold variants.
+    if (q.reason) params.push(['outcome_reason', `like.${String(q.reason).replace(/[*%]/g, '')}*`]);
+    if (q.since) params.push(['received_at', `gte.${String(q.since)}`]);
+    if (q.until) params.push(['received_at', `lte.${String(q.until)}`]);
+    if (q.email) params.push(['payer_email', `ilike.${String(q.email).replace(/[*%]/g, '')}`]);
+    if (q.amount_cents) params.push(['amount_cents', `eq.${Math.round(safeNumber(q.amount_cents) ?? 0)}`]);
+    if (q.provider_payment_id) params.push(['provider_payment_id', `eq.${String(q.provider_payment_id)}`]);
+    if (q.provider) params.push(['provider', `eq.${String(q.provider).trim().toLowerCase()}`]);
+
+    const rows = await supabaseSelect('payment_webhook_events', new URLSearchParams(params).toString());
+    const events = Array.isArray(rows) ? rows : [];
+
+    // Retries or a manual resolution may have applied the payment since; hide those.
+    const appliedKey = (e) => `${e.provider || DEFAULT_PAYMENT_PROVIDER}:${e.provider_payment_id}`;
+    const paymentIds = [...new Set(events.map((e) => e.provider_payment_id).filter(Boolean))];
+    let appliedKeys = new Set();
+    if (paymentIds.length) {
+      const appliedQs = new URLSearchParams({
+        select: 'provider,provider_payment_id',
+        outcome: 'eq.applied',
+        provider_payment_id: `in.(${paymentIds.map((id) => `"${String(id).replace(/"/g, '')}"`).join(',')})`,
+      });
+      const applied = await supabaseSelect('payment_webhook_events', appliedQs.toString());
+      appliedKeys = new Set((Array.isArray(applied) ? applied : []).map(appliedKey));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      events: events.filter((e) => !e.provider_payment_id || !appliedKeys.has(appliedKey(e))),
+    });
+  } catch (e) {
+    logger.error('admin_events_failed', { error: e });
+    return res.status(500).json({ error: 'admin_events_failed' });
+  }
+});
+
+app.get('/api/infinitepay/admin/events/:id/candidates', async (req, res) => {
+  try {
+    const event = await fetchWebhookEvent(String(req.params?.id || '').trim());
+    if (!event) return res.status(404).json({ error: 'event_not_found' });
+    if (!Number.isFinite(safeNumber(event.amount_cents))) {
+      return res.status(200).json({ ok: true, event, candidates: [] });
+    }
+
+    // Same window and scores tryMatchIntent used, anchored at delivery time and regardless of current status.
+    const at = event.received_at ? Date.parse(event.received_at) : Date.now();
+    const amountCents = safeNumber(event.amount_cents);
+    const rows = await supabaseSelect(
+      'payment_intents',
+      intentCandidatesQuery({
+        provider: event.provider || DEFAULT_PAYMENT_PROVIDER,
+        amountCents,
+        at,
+        status: null,
+        limit: 20,
+      })
+    );
+    const candidates = rankIntentCandidates(rows, { amountCents, at, payerEmail: event.payer_email, payerName: null })
+      .map(({ intent, score, breakdown }) => ({ ...intent, score, breakdown }));
+    return res.status(200).json({ ok: true, event, candidates });
+  } catch (e) {
+    logger.error('admin_candidates_failed', { error: e });
+    return res.status(500).json({ error: 'admin_candidates_failed' });
+  }
+});
+
+app.post('/api/infinitepay/admin/events/:id/resolve', async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    const note = typeof body.note === 'string' ? body.note.trim().slice(0, 500) : '';
+    if (!note) return res.status(400).json({ error: 'missing_note' });
+
+    const event = await fetchWebhookEvent(String(req.params?.id || '').trim());
+    if (!event) return res.status(404).json({ error: 'event_not_found' });
+    if (event.approved !== true) return res.status(409).json({ error: 'event_not_approved' });
+
+    const provider = event.provider || DEFAULT_PAYMENT_PROVIDER;
+    const providerPaymentId = event.provider_payment_id ?? null;
+    if (!providerPaymentId) return res.status(409).json({ error: 'missing_provider_payment_id' });
+    if (await findAppliedPayment({ provider, providerPaymentId })) return res.status(409).json({ error: 'already_applied' });
+
+    const amountCents = safeNumber(event.amount_cents);
+    let userId = null;
+    let days = null;
+    let intentId = null;
+    let latePayment = false;
+
+    if (body.intent_id) {
+      intentId = String(body.intent_id).trim();
+      const qs = new URLSearchParams({
+        select: 'id,user_id,days,status,expires_at',
+        id: `eq.${intentId}`,
+        provider: `eq.${provider}`,
+        limit: '1',
+      });
+      const rows = await supabaseSelect('payment_intents', qs.toString());
+      const intent = Array.isArray(rows) ? rows[0] : null;
+      if (!intent?.user_id) return res.status(404).json({ error: 'intent_not_found' });
+      if (intent.status === 'applied') return res.status(409).json({ error: 'intent_already_applied' });
+      userId = intent.user_id;
+      days = safeNumber(intent.days);
+      latePayment = isIntentExpired(intent);
+    } else if (looksLikeUuid(body.user_id)) {
+      userId = String(body.user_id).trim();
+    } else {
+      return res.status(400).json({ error: 'missing_user_or_intent' });
+    }
+
+    const daysIn = safeNumber(body.days);
+    if (Number.isFinite(daysIn) && daysIn > 0) days = Math.round(daysIn);
+    if (!days) days = await daysFromAmount(amountCents);
+    if (!Number.isFinite(days) || days <= 0) return res.status(400).json({ error: 'invalid_days' });
+
+    const resolvedBy = req.adminUser?.email || req.adminUser?.id;
+    await applyCredits({
+      provider,
+      userId,
+      days,
+      amountCents: amountCents ?? 0,
+      providerPaymentId,
+      rawEvent: { manual_resolution: { event_id: event.id, resolved_by: resolvedBy, note } },
+    });
+
+    if (intentId) {
+      try {
+        const qs = new URLSearchParams({ id: `eq.${intentId}`, select: 'id' });
+        await supabasePatch('payment_intents', qs.toString(), {
+          status: 'applied',
+          provider_payment_id: providerPaymentId,
+          matched_at: nowIso(),
+          note: `manual_resolution by ${resolvedBy}${latePayment ? ' (late_payment)' : ''}`.slice(0, 240),
+        });
+        publishIntentState(intentId, 'applied');
+      } catch (e) {
+        logger.warn('intent_mark_applied_failed', { error: String(e?.message || e) });
+      }
+    }
+
+    try {
+      const qs = new URLSearchParams({ id: `eq.${event.id}`, select: 'id' });
+      await supabasePatch('payment_webhook_events', qs.toString(), {
+        resolved_by: resolvedBy,
+        resolved_at: nowIso(),
+        resolution_note: note,
+      });
+    } catch (e) {
+      logger.warn('admin_event_mark_resolved_failed', { error: String(e?.message || e) });
+    }
+
+    await logWebhookEvent({
+      provider,
+      event_name: 'manual_resolution',
+      status: event.status ?? null,
+      approved: true,
+      provider_payment_id: providerPaymentId,
+      reference: event.reference ?? null,
+      amount_cents: amountCents,
+      payer_email: event.payer_email ?? null,
+      user_id: userId,
+      days,
+      outcome: 'applied',
+      outcome_reason: `manual: ${resolvedBy}: ${note}`.slice(0, 200),
+      trace_id: event.trace_id ?? null,
+      resolved_by: resolvedBy,
+      resolution_note: note,
+      raw_event: null,
+    });
+
+    await sendPaymentReceipt({
+      provider,
+      providerPaymentId,
+      userId,
+      days,
+      amountCents: amountCents ?? 0,
+      payerEmail: event.payer_email ?? null,
+      traceId: event.trace_id ?? null,
+    });
+
+    return res.status(200).json({ ok: true, userId, days, intentId, providerPaymentId });
+  } catch (e) {
+    logger.error('admin_resolve_failed', { error: e });
+    return res.status(500).json({ error: 'admin_resolve_failed', message: String(e?.message || e).slice(0, 220) });
+  }
+});
+
+app.post('/api/infinitepay/admin/support/:ticketId/status', async (req, res) => {
+  try {
+    const ticketId = String(req.params?.ticketId || '').trim();
+    if (!isValidTicketId(ticketId)) return res.status(400).json({ error: 'invalid_ticket_id' });
+
+    const status = String(req.body?.status || '').trim();
+    if (!SUPPORT_TICKET_STATUSES.includes(status)) return res.status(400).json({ error: 'invalid_status' });
+
+    const qs = new URLSearchParams({ id: `eq.${ticketId}`, select: SUPPORT_TICKET_COLUMNS });
+    const rows = await supabasePatch('support_tickets', qs.toString(), {
+      status,
+      updated_at: nowIso(),
+      status_changed_by: req.adminUser?.email || req.adminUser?.id,
+    });
+    const ticket = Array.isArray(rows) ? rows[0] ?? null : null;
+    if (!ticket) return res.status(404).json({ error: 'ticket_not_found' });
+
+    return res.status(200).json({ ok: true, ticket });
+  } catch (e) {
+    logger.error('admin_ticket_status_failed', { error: e });
+    return res.status(500).json({ error: 'admin_ticket_status_failed' });
+  }
+});
+
+app.get('/api/infinitepay/admin/support/blocked', async (req, res) => {
+  try {
+    const q = req.query ?? {};
+    const limit = Math.min(Math.max(Math.round(safeNumber(q.limit) ?? 50), 1), 200);
+    const params = [
+      ['select', 'id,user_id,user_email,kind,error,reason,ip,subject,message,created_at'],
+      ['order', 'created_at.desc'],
+      ['limit', String(limit)],
+    ];
+    if (q.user_id) params.push(['user_id', `eq.${String(q.user_id).trim()}`]);
+    if (q.error) params.push(['error', `eq.${String(q.error).trim()}`]);
+    if (q.since) params.push(['created_at', `gte.${String(q.since)}`]);
+    if (q.until) params.push(['created_at', `lte.${String(q.until)}`]);
+
+    const rows = await supabaseSelect('support_blocked_attempts', new URLSearchParams(params).toString());
+    return res.status(200).json({ ok: true, attempts: Array.isArray(rows) ? rows : [] });
+  } catch (e) {
+    logger.error('admin_support_blocked_failed', { error: e });
+    return res.status(500).json({ error: 'admin_support_blocked_failed' });
+  }
+});
+
+function isJobAuthorized(req) {
+  if (!JOBS_TOKEN) return false;
+  const reqToken = String(extractBearerToken(req) || req.headers?.['x-jobs-token'] || '').trim();
+  return Boolean(reqToken && safeEqual(reqToken, JOBS_TOKEN));
+}
+
+// POST for systemd timers/curl; GET because that is what Vercel Cron sends.
+async function retryOutboxJob(req, res) {
+  try {
+    if (!isJobAuthorized(req)) return res.status(401).json({ error: 'unauthorized' });
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: 'missing_supabase_env' });
+    }
+
+    const limit = Math.min(Math.max(Math.round(safeNumber(req.query?.limit) ?? 20), 1), 100);
+    const qs = new URLSearchParams({
+      select: 'id,provider,provider_payment_id,user_id,days,amount_cents,intent_id,payer_email,raw_event,attempts,trace_id',
+      status: 'eq.pending',
+      next_attempt_at: `lte.${nowIso()}`,
+      order: 'next_attempt_at.asc',
+      limit: String(limit),
+    });
+    const rows = await supabaseSelect('payment_outbox', qs.toString());
+
+    const counts = { applied: 0, already_applied: 0, retry: 0, dead: 0, skipped: 0, failed: 0 };
+    for (const row of Array.isArray(rows) ? rows : []) {
+      try {
+        counts[await processOutboxRow(row)] += 1;
+      } catch (e) {
+        counts.failed += 1;
+        logger.error('outbox_row_failed', { outboxId: row?.id ?? null, error: String(e?.message || e) });
+      }
+    }
+
+    // Receipts that failed to send ride on the same job; a failure there doesn't fail the outbox run.
+    let receipts = null;
+    try {
+      receipts = await retryFailedReceipts(limit);
+    } catch (e) {
+      logger.warn('receipt_retry_failed', { error: String(e?.message || e) });
+    }
+
+    return res.status(200).json({ ok: true, due: Array.isArray(rows) ? rows.length : 0, ...counts, receipts });
+  } catch (e) {
+    logger.error('retry_job_failed', { error: e });
+    return res.status(500).json({ error: 'retry_job_failed' });
+  }
+}
+
+app.post('/api/infinitepay/jobs/retry', retryOutboxJob);
+app.get('/api/infinitepay/jobs/retry', retryOutboxJob);
+
+async function expireIntentsJob(req, res) {
+  try {
+    if (!isJobAuthorized(req)) return res.status(401).json({ error: 'unauthorized' });
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: 'missing_supabase_env' });
+    }
+
+    // All providers at once; status=eq.pending keeps it from touching intents a webhook just claimed.
+    const qs = new URLSearchParams({
+      status: 'eq.pending',
+      expires_at: `lt.${nowIso()}`,
+      select: 'id',
+    });
+    const rows = await supabasePatch('payment_intents', qs.toString(), { status: 'expired', note: 'expired_by_sweeper' });
+    const expired = Array.isArray(rows) ? rows : [];
+    for (const row of expired) publishIntentState(row.id, 'expired');
+
+    return res.status(200).json({ ok: true, expired: expired.length });
+  } catch (e) {
+    logger.error('expire_intents_job_failed', { error: e });
+    return res.status(500).json({ error: 'expire_intents_job_failed' });
+  }
+}
+
+app.post('/api/infinitepay/jobs/expire-intents', expireIntentsJob);
+app.get('/api/infinitepay/jobs/expire-intents', expireIntentsJob);
+
+async function premiumRemindersJob(req, res) {
+  try {
+    if (!isJobAuthorized(req)) return res.status(401).json({ error: 'unauthorized' });
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: 'missing_supabase_env' });
+    }
+
+    const counts = { sent: 0, already_sent: 0, opted_out: 0, skipped: 0, failed: 0, deferred: 0 };
+    if (!PREMIUM_REMINDER_DAYS.length) return res.status(200).json({ ok: true, due: 0, ...counts });
+
+    // At most `limit` emails per run; the rest stay for the next run (reruns skip what was sent).
+    const limit = Math.min(Math.max(Math.round(safeNumber(req.query?.limit) ?? 50), 1), 200);
+    const now = Date.now();
+    const from = new Date(now).toISOString();
+    const rows = await supabaseRpc('service_list_premium_expiring', {
+      p_from: from,
+      p_until: new Date(now + PREMIUM_REMINDER_DAYS[PREMIUM_REMINDER_DAYS.length - 1] * DAY_MS).toISOString(),
+    });
+    const due = Array.isArray(rows) ? rows : [];
+
+    // Skip reminders already handled without a write per user.
+    const doneRows = await supabaseSelect(
+      'premium_reminders',
+      new URLSearchParams({ select: 'user_id,premium_until,days_before', premium_until: `gt.${from}` }).toString()
+    );
+    const done = new Set(
+      (Array.isArray(doneRows) ? doneRows : []).map((r) => `${r.user_id}|${new Date(r.premium_until).toISOString()}|${r.days_before}`)
+    );
+
+    let attempted = 0;
+    for (const row of due) {
+      const expiresAt = Date.parse(row?.premium_until ?? '');
+      if (!row?.user_id || !Number.isFinite(expiresAt) || expiresAt <= now) continue;
+      // The closest threshold already crossed; users first seen at 2 days left only get the 3-day one.
+      const daysBefore = PREMIUM_REMINDER_DAYS.find((d) => expiresAt - now <= d * DAY_MS);
+      if (!daysBefore) continue;
+      const premiumUntil = new Date(expiresAt).toISOString();
+      if (done.has(`${row.user_id}|${premiumUntil}|${daysBefore}`)) {
+        counts.already_sent += 1;
+        continue;
+      }
+      if (attempted >= limit) {
+        counts.deferred += 1;
+        continue;
+      }
+      attempted += 1;
+      counts[await sendPremiumReminder({ userId: row.user_id, premiumUntil, daysBefore, now })] += 1;
+    }
+
+    return res.status(200).json({ ok: true, due: due.length, ...counts });
+  } catch (e) {
+    logger.error('premium_reminders_job_failed', { error: e });
+    return res.status(500).json({ error: 'premium_reminders_job_failed' });
+  }
+}
+
+app.post('/api/infinitepay/jobs/premium-reminders', premiumRemindersJob);
+app.get('/api/infinitepay/jobs/premium-reminders', premiumRemindersJob);
+
+function isHealthAuthorized(req) {
+  const reqToken = String(req.headers?.['x-health-token'] || req.query?.token || '').trim();
+  return Boolean(HEALTHCHECK_TOKEN && reqToken && safeEqual(reqToken, HEALTHCHECK_TOKEN));
+}
+
 app.get('/api/infinitepay/health', async (req, res) => {
   try {
-    const reqToken = String(req.headers?.['x-health-token'] || req.query?.token || '').trim();
-    const isAuthorized = Boolean(HEALTHCHECK_TOKEN && reqToken && safeEqual(reqToken, HEALTHCHECK_TOKEN));
+    const isAuthorized = isHealthAuthorized(req);
     const hasSupabaseUrl = Boolean(SUPABASE_URL);
     const hasServiceRoleKey = Boolean(SUPABASE_SERVICE_ROLE_KEY);
 
@@ -1481,7 +4971,7 @@ app.get('/api/infinitepay/health', async (req, res) => {
     if (wantLogWrite) {
       try {
         await logWebhookEvent({
-          provider: 'infinitepay',
+          provider: DEFAULT_PAYMENT_PROVIDER,
           event_name: 'healthcheck',
           status: null,
           approved: null,
@@ -1511,6 +5001,9 @@ app.get('/api/infinitepay/health', async (req, res) => {
       env: {
         hasSupabaseUrl,
         hasServiceRoleKey,
+        emailTransport: EMAIL_TRANSPORT,
+        emailFailoverTransport: EMAIL_FAILOVER_TRANSPORT || null,
+        metricsEnabled: Boolean(METRICS_TOKEN),
       },
       supabase: {
         projectRef: supabaseProjectRef,
@@ -1526,6 +5019,310 @@ app.get('/api/infinitepay/health', async (req, res) => {
   }
 });
 
+// Readiness (/health/ready): each check resolves to { status: 'pass' | 'warn' | 'fail', message?, details? }.
+// A `fail` in a critical check (Supabase) makes the endpoint answer 503; anything else is degraded but serving.
+const READINESS_CHECK_TIMEOUT_MS = Number(process.env.READINESS_CHECK_TIMEOUT_MS || 5_000);
+
+// Tables and columns the code reads or writes. Missing `required` ones fail readiness; the rest
+// back optional features (locks, outbox, receipts, ...) and only warn, as do missing `optionalColumns`.
+const READINESS_TABLES = [
+  {
+    table: 'payment_intents',
+    required: true,
+    columns: 'id,user_id,provider,plan_id,amount_cents,base_amount_cents,amount_offset_cents,payer_email,payer_name,checkout_started_at,expires_at,days,status,note,provider_payment_id,matched_at,created_at',
+  },
+  {
+    table: 'payment_webhook_events',
+    required: true,
+    // The minimal payload logWebhookEvent falls back to.
+    columns: 'id,provider,received_at,event_name,status,approved,provider_payment_id,reference,amount_cents,payer_email,user_id,days,outcome,outcome_reason',
+    optionalColumns: 'trace_id,raw_event,signature_mode,signature_key_id,expected_amount_cents,resolved_by,resolved_at,resolution_note',
+  },
+  {
+    table: 'support_tickets',
+    required: true,
+    columns: 'id,user_id,user_email,subject,message,locale,status,created_at,updated_at,status_changed_by,notification_error,attachments',
+  },
+  { table: 'support_ticket_messages', columns: 'id,ticket_id,author,author_id,message,created_at' },
+  { table: 'support_blocked_attempts', columns: 'id,user_id,user_email,kind,error,reason,ip,subject,message,created_at' },
+  { table: 'payment_webhook_locks', columns: 'provider,provider_payment_id,trace_id,locked_at,expires_at' },
+  {
+    table: 'payment_outbox',
+    columns:
+      'id,provider,provider_payment_id,user_id,days,amount_cents,intent_id,payer_email,raw_event,status,attempts,next_attempt_at,last_error,trace_id,completed_at',
+  },
+  {
+    table: 'payment_receipts',
+    columns:
+      'provider,provider_payment_id,user_id,days,amount_cents,payer_email,trace_id,status,attempts,next_attempt_at,sent_to,sent_at,last_error,created_at',
+  },
+  {
+    table: 'premium_reminders',
+    columns: 'user_id,premium_until,days_before,status,sent_to,sent_at,last_error,created_at',
+  },
+  { table: 'renewal_link_uses', columns: 'token_id,user_id,plan_id,intent_id,used_at' },
+  ...(PLAN_CATALOG_SOURCE === 'supabase'
+    ? [
+        { table: 'payment_plans', required: true, columns: 'id,amount_cents,days,currency,active,name_en,name_pt,name_es' },
+      ]
+    : []),
+];
+
+const READINESS_RPCS = [
+  { name: 'service_apply_payment_credits', required: true },
+  { name: 'service_reverse_payment_credits' },
+  { name: 'service_get_user_id_by_email' },
+  { name: 'service_get_user_premium_until' },
+  { name: 'service_list_premium_expiring' },
+  ...(RATE_LIMIT_STORE === 'supabase' ? [{ name: 'service_rate_limit_hit' }] : []),
+];
+
+async function runReadinessCheck(name, fn, { critical = false } = {}) {
+  const started = Date.now();
+  let timer = null;
+  let result;
+  try {
+    result = await Promise.race([
+      fn(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${READINESS_CHECK_TIMEOUT_MS}ms`)), READINESS_CHECK_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (e) {
+    result = { status: 'fail', message: String(e?.message || e).slice(0, 300) };
+  } finally {
+    clearTimeout(timer);
+  }
+  return {
+    name,
+    status: result.status,
+    ...(critical ? { critical } : {}),
+    latencyMs: Date.now() - started,
+    ...(result.message ? { message: result.message } : {}),
+    ...(result.details ? { details: result.details } : {}),
+  };
+}
+
+function configReadinessChecks() {
+  const checks = {
+    'config.webhook_secret': () => {
+      if (!INFINITEPAY_WEBHOOK_SECRETS.length) return { status: 'warn', message: 'no webhook secret: signatures are not verified' };
+      return {
+        status: 'pass',
+        message: `${INFINITEPAY_WEBHOOK_SECRETS.length} key(s)${WEBHOOK_REQUIRE_TIMESTAMP ? ', timestamp required' : ''}`,
+      };
+    },
+    'config.reference_secret': () => {
+      if (!PAYMENT_REFERENCE_SECRET) return { status: 'warn', message: 'no PAYMENT_REFERENCE_SECRET: intents carry no signed reference' };
+      if (ALLOW_LEGACY_REFERENCES) return { status: 'warn', message: 'unsigned legacy references are accepted' };
+      return { status: 'pass' };
+    },
+    'config.cors': () => {
+      if (!CORS_ALLOWED_ORIGINS.length) return { status: 'warn', message: 'no CORS origins: browsers cannot call the API' };
+      const invalid = CORS_ALLOWED_ORIGINS.filter((origin) => {
+        try {
+          return new URL(origin).origin !== origin;
+        } catch {
+          return true;
+        }
+      });
+      if (invalid.length) return { status: 'warn', message: 'origins must be scheme://host[:port]', details: { invalid } };
+      const local = CORS_ALLOWED_ORIGINS.filter((origin) => /\/\/(localhost|127\.0\.0\.1)(:|$)/.test(origin));
+      if (local.length && process.env.VERCEL_ENV === 'production') {
+        return { status: 'warn', message: 'local origins allowed in production', details: { local } };
+      }
+      return { status: 'pass', details: { origins: CORS_ALLOWED_ORIGINS } };
+    },
+    'config.jobs_token': () =>
+      JOBS_TOKEN ? { status: 'pass' } : { status: 'warn', message: 'no JOBS_TOKEN: job endpoints answer 401' },
+  };
+  return Object.entries(checks).map(([name, fn]) => runReadinessCheck(name, async () => fn()));
+}
+
+async function probeTableColumns(table, columns) {
+  // PostgREST rejects unknown tables and columns in `select`, so limit=0 checks the schema without reading rows.
+  try {
+    await supabaseSelect(table, `select=${columns.join(',')}&limit=0`);
+    return { missingTable: false, missingColumns: [] };
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (msg.includes('(404)') || msg.includes('PGRST205') || msg.includes('42P01')) {
+      return { missingTable: true, missingColumns: [] };
+    }
+    if (!msg.includes('42703') && !msg.includes('PGRST204') && !msg.includes('does not exist')) throw e;
+  }
+  // Only on drift: find out which ones.
+  const missingColumns = [];
+  for (const column of columns) {
+    try {
+      await supabaseSelect(table, `select=${column}&limit=0`);
+    } catch {
+      missingColumns.push(column);
+    }
+  }
+  return { missingTable: false, missingColumns };
+}
+
+async function checkTableReadiness({ table, required = false, columns: columnList, optionalColumns: optionalList = '' }) {
+  const columns = columnList.split(',');
+  const optionalColumns = optionalList ? optionalList.split(',') : [];
+  const probe = await probeTableColumns(table, [...columns, ...optionalColumns]);
+  const failStatus = required ? 'fail' : 'warn';
+  if (probe.missingTable) return { status: failStatus, message: 'table missing' };
+  if (!probe.missingColumns.length) return { status: 'pass' };
+  const missingRequired = probe.missingColumns.filter((c) => columns.includes(c));
+  return {
+    status: missingRequired.length ? failStatus : 'warn',
+    message: 'schema drift: missing columns',
+    details: { missingColumns: probe.missingColumns },
+  };
+}
+
+async function checkRpcReadiness() {
+  let spec;
+  try {
+    spec = await supabaseOpenApiSpec();
+  } catch (e) {
+    return { status: 'warn', message: `cannot list RPCs: ${String(e?.message || e).slice(0, 200)}` };
+  }
+  const missing = READINESS_RPCS.filter((rpc) => !spec?.paths?.[`/rpc/${rpc.name}`]);
+  if (!missing.length) return { status: 'pass' };
+  return {
+    status: missing.some((rpc) => rpc.required) ? 'fail' : 'warn',
+    message: 'missing functions',
+    details: { missing: missing.map((rpc) => rpc.name) },
+  };
+}
+
+async function checkEmailTransportReadiness(transportId) {
+  if (transportId === 'resend') {
+    if (!RESEND_API_KEY) return { status: 'fail', message: 'RESEND_API_KEY is not set' };
+    const from = pickSupportFromEmail();
+    const domain = from.split('@')[1]?.toLowerCase() ?? '';
+    if (from === EMAIL_FALLBACK_FROM_EMAIL && domain === 'resend.dev') {
+      return { status: 'warn', message: `sending from ${from}: Resend only delivers it to the account owner` };
+    }
+    let domains;
+    try {
+      domains = await resendListDomains();
+    } catch (e) {
+      // Sending-only keys can't list domains; that's not a reason to stop sending.
+      if (e?.status === 401 || e?.status === 403) return { status: 'warn', message: 'API key cannot list domains (sending-only key?)' };
+      throw e;
+    }
+    const match = domains.find((d) => String(d?.name || '').toLowerCase() === domain);
+    if (!match) return { status: 'fail', message: `sender domain ${domain} is not registered in Resend` };
+    if (match.status !== 'verified') return { status: 'fail', message: `sender domain ${domain} is ${match.status}` };
+    return { status: 'pass', details: { from } };
+  }
+  if (transportId === 'smtp') {
+    if (!SMTP_HOST) return { status: 'fail', message: 'SMTP_HOST is not set' };
+    await (await getSmtpTransporter()).verify();
+    return { status: 'pass', details: { host: SMTP_HOST, port: SMTP_PORT } };
+  }
+  if (transportId === 'file') {
+    if (process.env.VERCEL) return { status: 'warn', message: 'file transport: emails are written to disk, not sent' };
+    return { status: 'pass', details: { dir: EMAIL_OUTBOX_DIR } };
+  }
+  return { status: 'fail', message: `unknown transport ${transportId}` };
+}
+
+async function runReadinessChecks() {
+  const checks = [...configReadinessChecks()];
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    checks.push(
+      runReadinessCheck('supabase.env', async () => ({ status: 'fail', message: 'SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY is not set' }), {
+        critical: true,
+      })
+    );
+  } else {
+    checks.push(runReadinessCheck('supabase.rpc', checkRpcReadiness, { critical: true }));
+    for (const spec of READINESS_TABLES) {
+      // Optional tables only warn, so a transient error probing one of them doesn't take the instance out.
+      checks.push(
+        runReadinessCheck(`supabase.table.${spec.table}`, () => checkTableReadiness(spec), { critical: Boolean(spec.required) })
+      );
+    }
+    checks.push(
+      runReadinessCheck('supabase.webhook_event_log', async () =>
+        webhookEventSchemaDrift
+          ? { status: 'warn', message: 'rows were logged without some columns', details: webhookEventSchemaDrift }
+          : { status: 'pass' }
+      )
+    );
+  }
+  for (const transportId of [EMAIL_TRANSPORT, EMAIL_FAILOVER_TRANSPORT].filter(Boolean)) {
+    checks.push(runReadinessCheck(`email.${transportId}`, () => checkEmailTransportReadiness(transportId)));
+  }
+
+  const results = await Promise.all(checks);
+  const status = results.some((c) => c.status === 'fail') ? 'fail' : results.some((c) => c.status === 'warn') ? 'warn' : 'pass';
+  return { status, ready: !results.some((c) => c.critical && c.status === 'fail'), checks: results };
+}
+
+// Unauthenticated probes get a single Supabase round trip instead of the full report (about a dozen
+// upstream calls, one of them against the Resend API limit), and share its result for a few seconds.
+const READINESS_QUICK_CACHE_MS = Number(process.env.READINESS_QUICK_CACHE_MS || 10_000);
+let quickReadinessCache = null;
+
+async function runQuickReadinessCheck() {
+  if (quickReadinessCache && Date.now() - quickReadinessCache.at < READINESS_QUICK_CACHE_MS) {
+    return quickReadinessCache.promise;
+  }
+  const promise = runReadinessCheck(
+    'supabase.ping',
+    async () => {
+      if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        return { status: 'fail', message: 'SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY is not set' };
+      }
+      await supabaseSelect('payment_webhook_events', 'select=id&limit=0');
+      return { status: 'pass' };
+    },
+    { critical: true }
+  );
+  quickReadinessCache = { at: Date.now(), promise };
+  return promise;
+}
+
+// Liveness: the process answers. No dependency is touched, so it can be polled often.
+app.get('/api/infinitepay/health/live', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isHealthAuthorized(req)) return res.status(200).json({ ok: true });
+  return res.status(200).json({ ok: true, build: BUILD_INFO, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: 503 when a dependency this instance needs is unusable. The full report needs the health token.
+app.get('/api/infinitepay/health/ready', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    if (!isHealthAuthorized(req)) {
+      const check = await runQuickReadinessCheck();
+      const ok = check.status !== 'fail';
+      if (!ok) logger.warn('readiness_failed', { ready: ok, failed: [check.name] });
+      return res.status(ok ? 200 : 503).json({ ok });
+    }
+    const report = await runReadinessChecks();
+    const ok = report.ready;
+    if (report.status === 'fail') {
+      logger.warn('readiness_failed', { ready: ok, failed: report.checks.filter((c) => c.status === 'fail').map((c) => c.name) });
+    }
+    return res.status(ok ? 200 : 503).json({ ok, status: report.status, checkedAt: nowIso(), build: BUILD_INFO, checks: report.checks });
+  } catch (e) {
+    logger.error('readiness_check_failed', { error: e });
+    return res.status(503).json({ ok: false });
+  }
+});
+
+// Prometheus scrape target. Without METRICS_TOKEN the endpoint stays off.
+app.get('/metrics', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!METRICS_TOKEN) return res.status(404).json({ error: 'metrics_disabled' });
+  const reqToken = String(extractBearerToken(req) || req.headers?.['x-metrics-token'] || '').trim();
+  if (!reqToken || !safeEqual(reqToken, METRICS_TOKEN)) return res.status(401).json({ error: 'unauthorized' });
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  return res.status(200).send(renderMetrics());
+});
+
 app.get('/', (req, res) => {
   res.send('InfinitePay Webhook Backend rodando!');
 });
@@ -1534,7 +5331,7 @@ app.get('/', (req, res) => {
 if (!process.env.VERCEL) {
   const PORT = Number(process.env.PORT || 8787);
   app.listen(PORT, '127.0.0.1', () => {
-    console.log(`InfinitePay backend listening on http://127.0.0.1:${PORT}`);
+    logger.info('listening', { url: `http://127.0.0.1:${PORT}` });
   });
 }
 